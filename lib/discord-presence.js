@@ -0,0 +1,265 @@
+// Discord Rich Presence
+// Speaks Discord's local IPC protocol (discord-ipc-N socket / named pipe)
+// to show the current track. Reconnects when Discord starts later and
+// clears the presence while playback is paused.
+//
+// Frames are: int32 opcode, int32 length (little endian), JSON payload.
+
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+
+const OP_HANDSHAKE = 0;
+const OP_FRAME = 1;
+const OP_CLOSE = 2;
+const OP_PING = 3;
+const OP_PONG = 4;
+
+const RECONNECT_DELAY = 15000;
+// Discord allows 5 activity updates per 20 seconds
+const MIN_UPDATE_INTERVAL = 4000;
+// Timestamp drift that counts as a seek (ms)
+const SEEK_TOLERANCE = 2000;
+
+const ACTIVITY_TYPE_LISTENING = 2;
+
+function getIpcPaths() {
+  const paths = [];
+  for (let i = 0; i < 10; i++) {
+    if (process.platform === 'win32') {
+      paths.push(`\\\\?\\pipe\\discord-ipc-${i}`);
+      continue;
+    }
+
+    const { XDG_RUNTIME_DIR, TMPDIR, TMP, TEMP } = process.env;
+    const base = XDG_RUNTIME_DIR || TMPDIR || TMP || TEMP || '/tmp';
+    paths.push(path.join(base, `discord-ipc-${i}`));
+    // Flatpak and Snap builds of Discord
+    paths.push(path.join(base, 'app', 'com.discordapp.Discord', `discord-ipc-${i}`));
+    paths.push(path.join(base, 'snap.discord', `discord-ipc-${i}`));
+  }
+  return paths;
+}
+
+function encodeFrame(op, payload) {
+  const json = Buffer.from(JSON.stringify(payload), 'utf8');
+  const header = Buffer.alloc(8);
+  header.writeInt32LE(op, 0);
+  header.writeInt32LE(json.length, 4);
+  return Buffer.concat([header, json]);
+}
+
+// Discord rejects fields shorter than 2 or longer than 128 characters
+function fitText(text) {
+  const value = String(text || '');
+  if (value.length > 128) return value.slice(0, 127) + '…';
+  return value.length < 2 ? value.padEnd(2, ' ') : value;
+}
+
+// options: { getSettings, ipcPaths, reconnectDelay, updateInterval }
+//   getSettings    - returns the "discordPresence" settings section
+//   ipcPaths       - socket paths to try (defaults to Discord's standard ones)
+//   reconnectDelay - ms between connection attempts
+//   updateInterval - minimum ms between activity updates
+function createDiscordPresence(options) {
+  const {
+    getSettings,
+    ipcPaths = getIpcPaths(),
+    reconnectDelay = RECONNECT_DELAY,
+    updateInterval = MIN_UPDATE_INTERVAL
+  } = options;
+  let socket = null;
+  let ready = false;
+  let buffer = Buffer.alloc(0);
+  let reconnectTimer = null;
+  let updateTimer = null;
+  let lastSentAt = 0;
+  let sent = null;      // last activity sent to Discord
+  let desired = null;   // activity we want Discord to show
+  let stopped = true;
+  let generation = 0;   // bumped by stop() so pending connection attempts are dropped
+
+  function connectTo(index, clientId, attempt = generation) {
+    if (index >= ipcPaths.length) {
+      scheduleReconnect();
+      return;
+    }
+
+    const candidate = net.createConnection(ipcPaths[index]);
+    candidate.once('error', () => {
+      candidate.destroy();
+      if (!stopped && attempt === generation) connectTo(index + 1, clientId, attempt);
+    });
+    candidate.once('connect', () => {
+      candidate.removeAllListeners('error');
+      // stop() ran (and maybe start() again) while this attempt was pending
+      if (stopped || attempt !== generation || socket) {
+        candidate.destroy();
+        return;
+      }
+      attach(candidate, clientId);
+    });
+  }
+
+  function attach(connected, clientId) {
+    socket = connected;
+    buffer = Buffer.alloc(0);
+
+    socket.on('data', handleData);
+    socket.on('error', (error) => console.warn('Discord presence socket error:', error.message));
+    socket.on('close', () => {
+      socket = null;
+      ready = false;
+      sent = null;
+      scheduleReconnect();
+    });
+
+    socket.write(encodeFrame(OP_HANDSHAKE, { v: 1, client_id: clientId }));
+  }
+
+  function handleData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 8) {
+      const op = buffer.readInt32LE(0);
+      const length = buffer.readInt32LE(4);
+      if (buffer.length < 8 + length) return;
+
+      let payload = null;
+      try {
+        payload = JSON.parse(buffer.slice(8, 8 + length).toString('utf8'));
+      } catch (e) {
+        payload = null;
+      }
+      buffer = buffer.slice(8 + length);
+      handleFrame(op, payload);
+    }
+  }
+
+  function handleFrame(op, payload) {
+    if (op === OP_PING) {
+      socket.write(encodeFrame(OP_PONG, payload));
+    } else if (op === OP_CLOSE) {
+      console.warn('Discord closed the presence connection:', payload && payload.message);
+      socket.end();
+    } else if (op === OP_FRAME && payload) {
+      if (payload.evt === 'READY') {
+        ready = true;
+        console.log('Discord presence connected');
+        scheduleSend();
+      } else if (payload.evt === 'ERROR') {
+        console.warn('Discord presence error:', payload.data && payload.data.message);
+      }
+    }
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+  }
+
+  function connect() {
+    const config = getSettings();
+    if (stopped || socket || !config.enabled) return;
+    if (!config.clientId) {
+      console.warn('Discord presence needs a Discord application ID (Integrations menu)');
+      return;
+    }
+    connectTo(0, config.clientId);
+  }
+
+  function trackLength(activity) {
+    return activity.timestamps.end ? activity.timestamps.end - activity.timestamps.start : 0;
+  }
+
+  function sameActivity(a, b) {
+    if (!a || !b) return a === b;
+    return a.details === b.details &&
+      a.state === b.state &&
+      a.assets.large_image === b.assets.large_image &&
+      Math.abs(a.timestamps.start - b.timestamps.start) < SEEK_TOLERANCE &&
+      Math.abs(trackLength(a) - trackLength(b)) < 1000;
+  }
+
+  function send() {
+    updateTimer = null;
+    if (!ready || sameActivity(sent, desired)) return;
+
+    lastSentAt = Date.now();
+    sent = desired;
+    const args = { pid: process.pid };
+    if (desired) args.activity = desired;
+    socket.write(encodeFrame(OP_FRAME, { cmd: 'SET_ACTIVITY', args, nonce: crypto.randomUUID() }));
+  }
+
+  // Respect Discord's rate limit by delaying, never dropping, the latest update
+  function scheduleSend() {
+    if (updateTimer) return;
+    const wait = Math.max(0, lastSentAt + updateInterval - Date.now());
+    updateTimer = setTimeout(send, wait);
+  }
+
+  // Called with the full player state on every change
+  function update(state) {
+    if (!state.isPlaying || state.title === 'Not Playing') {
+      desired = null;
+    } else {
+      const start = Date.now() - state.position * 1000;
+      desired = {
+        type: ACTIVITY_TYPE_LISTENING,
+        details: fitText(state.title),
+        state: fitText(`by ${state.artist}`),
+        timestamps: {
+          start: Math.round(start),
+          end: Math.round(start + state.duration * 1000)
+        },
+        assets: {
+          large_image: state.thumbnail || 'logo',
+          large_text: fitText(state.album || state.title)
+        },
+        instance: false
+      };
+      if (!state.duration) delete desired.timestamps.end;
+    }
+
+    if (ready && !sameActivity(sent, desired)) {
+      scheduleSend();
+    }
+  }
+
+  function start() {
+    stopped = false;
+    connect();
+  }
+
+  function stop() {
+    stopped = true;
+    generation++;
+    clearTimeout(reconnectTimer);
+    clearTimeout(updateTimer);
+    reconnectTimer = null;
+    updateTimer = null;
+    ready = false;
+    sent = null;
+    if (socket) {
+      socket.removeAllListeners('close');
+      socket.destroy();
+      socket = null;
+    }
+  }
+
+  // Re-read settings after they change
+  function applySettings() {
+    stop();
+    if (getSettings().enabled) {
+      start();
+    }
+  }
+
+  return { start, stop, update, applySettings, isConnected: () => ready };
+}
+
+module.exports = { createDiscordPresence, encodeFrame };
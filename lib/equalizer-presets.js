@@ -0,0 +1,80 @@
+// Equalizer Presets
+// Gain curves for the 10-band equalizer in the page's audio engine. Built-in
+// presets live here; presets the user saves are kept in
+// equalizer-presets.json in the app data directory.
+//
+// Preset shape: { name, preamp, gains: [10 values] }, all in dB. The bands
+// are 31, 62, 125, 250, 500, 1k, 2k, 4k, 8k and 16k Hz.
+
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+
+const BAND_COUNT = 10;
+const MAX_GAIN = 12; // dB, either way
+
+const BUILTIN_EQ_PRESETS = {
+  flat: { name: 'Flat', preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  'bass-boost': { name: 'Bass Boost', preamp: -4, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  'bass-cut': { name: 'Bass Cut', preamp: 0, gains: [-6, -5, -3, -1, 0, 0, 0, 0, 0, 0] },
+  'treble-boost': { name: 'Treble Boost', preamp: -3, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  vocal: { name: 'Vocal', preamp: -2, gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  loudness: { name: 'Loudness', preamp: -4, gains: [5, 4, 1, 0, -1, 0, 0, 1, 4, 5] },
+  electronic: { name: 'Electronic', preamp: -3, gains: [4, 4, 1, 0, -2, 1, 0, 1, 4, 4] },
+  acoustic: { name: 'Acoustic', preamp: -1, gains: [3, 3, 2, 1, 1, 1, 2, 2, 2, 1] },
+  'spoken-word': { name: 'Spoken Word', preamp: -1, gains: [-4, -3, -1, 0, 2, 3, 3, 2, 0, -2] }
+};
+
+function clampGain(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.round(Math.min(MAX_GAIN, Math.max(-MAX_GAIN, number)) * 10) / 10;
+}
+
+// Pad or trim to 10 bands and clamp every gain
+function sanitizeGains(gains) {
+  const list = Array.isArray(gains) ? gains : [];
+  return Array.from({ length: BAND_COUNT }, (_, i) => clampGain(list[i]));
+}
+
+function sanitizeEqPreset(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Preset must be an object');
+  const name = String(raw.name || '').trim().slice(0, 40);
+  if (!name) throw new Error('Preset needs a name');
+  return { name, preamp: clampGain(raw.preamp), gains: sanitizeGains(raw.gains) };
+}
+
+function createEqualizerPresets(userDataPath) {
+  const store = createJsonStore(path.join(userDataPath, 'equalizer-presets.json'));
+
+  // [{ id, name, builtIn, preamp, gains }] with built-ins first
+  function list() {
+    const builtIn = Object.entries(BUILTIN_EQ_PRESETS).map(([id, preset]) => ({ id, builtIn: true, ...preset }));
+    const user = store.keys()
+      .map((id) => ({ id, builtIn: false, ...store.get(id) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [...builtIn, ...user];
+  }
+
+  function get(id) {
+    if (Object.hasOwn(BUILTIN_EQ_PRESETS, id)) return BUILTIN_EQ_PRESETS[id];
+    return store.keys().includes(id) ? store.get(id) : null;
+  }
+
+  // Save under the name's slug, replacing a preset with the same name; returns the id
+  function save(raw) {
+    const preset = sanitizeEqPreset(raw);
+    const slug = preset.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    const id = `user:${slug || 'preset'}`;
+    store.set(id, preset);
+    return id;
+  }
+
+  function remove(id) {
+    if (!String(id).startsWith('user:')) return;
+    store.remove(id);
+  }
+
+  return { list, get, save, remove, flush: store.flush };
+}
+
+module.exports = { createEqualizerPresets, sanitizeGains, clampGain, BUILTIN_EQ_PRESETS, BAND_COUNT };
@@ -0,0 +1,13 @@
+// Format Time
+// Playback times as shown in the mini player and history windows:
+// "m:ss", or "h:mm:ss" from an hour up.
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+module.exports = { formatTime };
@@ -0,0 +1,85 @@
+// JSON Store
+// Small JSON document persisted in the app data directory.
+// Writes are debounced and go through a temp file so a crash never
+// leaves a half-written file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 250; // ms
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createJsonStore(filePath, defaults = {}) {
+  let data = load();
+  let saveTimer = null;
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return { ...clone(defaults), ...parsed };
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error(`Could not read ${path.basename(filePath)}:`, e.message);
+      }
+    }
+    return clone(defaults);
+  }
+
+  function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (e) {
+      console.error(`Could not write ${path.basename(filePath)}:`, e.message);
+    }
+  }
+
+  function save() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveNow, SAVE_DELAY);
+  }
+
+  function get(key) {
+    return clone(data[key]);
+  }
+
+  function set(key, value) {
+    if (value === undefined) {
+      delete data[key];
+    } else {
+      data[key] = clone(value);
+    }
+    save();
+  }
+
+  function remove(key) {
+    set(key, undefined);
+  }
+
+  function keys() {
+    return Object.keys(data);
+  }
+
+  function clear() {
+    data = clone(defaults);
+    save();
+  }
+
+  // Flush pending writes (call before quitting)
+  function flush() {
+    if (saveTimer) saveNow();
+  }
+
+  return { get, set, remove, keys, clear, flush, filePath };
+}
+
+module.exports = { createJsonStore };
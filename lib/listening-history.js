@@ -0,0 +1,125 @@
+// Listening History
+// Records every play in listening-history.jsonl in the app data directory,
+// one JSON line per play, appended when the play ends. A play ends when
+// another track starts, the same track restarts (repeat one) or the app
+// quits; see play-session.js for how plays and listening time are tracked.
+//
+// Entry shape: {
+//   videoId, title, artist, album,
+//   startedAt,   // ms timestamp
+//   duration,    // track length in seconds
+//   listened,    // seconds actually played
+//   completed,   // played to the end
+//   skipped      // left for another track before the end
+// }
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createPlayTracker } = require('./play-session');
+
+const MIN_LISTENED = 5;         // seconds; clicking through the queue isn't a play
+const END_MARGIN = 5;           // seconds from the end that still count as completed
+
+// Every word of the query has to appear in the title, artist or album
+function matchesQuery(entry, query) {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const text = `${entry.title} ${entry.artist} ${entry.album}`.toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+function createListeningHistory(userDataPath) {
+  const filePath = path.join(userDataPath, 'listening-history.jsonl');
+  const entries = load();
+  const emitter = new EventEmitter();
+  const plays = createPlayTracker({ onEnd: record });
+
+  function load() {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error('Could not read listening history:', e.message);
+      }
+      return [];
+    }
+
+    // A line cut short by a crash is skipped rather than losing the file
+    const list = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        list.push(JSON.parse(line));
+      } catch (e) {
+        continue;
+      }
+    }
+    return list;
+  }
+
+  // Write out a finished play; replaced means another play took over
+  function record(play, replaced) {
+    if (play.listened < MIN_LISTENED) return;
+
+    const completed = play.duration > 0 && play.lastPosition >= play.duration - END_MARGIN;
+    const entry = {
+      videoId: play.videoId,
+      title: play.title,
+      artist: play.artist,
+      album: play.album,
+      startedAt: play.startedAt,
+      duration: play.duration,
+      listened: Math.round(play.listened),
+      completed,
+      skipped: replaced && !completed
+    };
+
+    entries.push(entry);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    } catch (e) {
+      console.error('Could not write listening history:', e.message);
+    }
+    emitter.emit('entry', entry);
+  }
+
+  // Called for every player state change
+  function handleStateChange(changes, state) {
+    plays.update(changes, state);
+  }
+
+  // Newest first; query matches title, artist or album
+  function search({ query = '', offset = 0, limit = 100 } = {}) {
+    const matches = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (matchesQuery(entries[i], query)) matches.push(entries[i]);
+    }
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+
+  function clear() {
+    entries.length = 0;
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (e) {
+      console.error('Could not clear listening history:', e.message);
+    }
+  }
+
+  // Record the play in progress (call before quitting)
+  function stop() {
+    plays.end();
+  }
+
+  return {
+    handleStateChange,
+    search,
+    clear,
+    stop,
+    on: (event, listener) => emitter.on(event, listener)
+  };
+}
+
+module.exports = { createListeningHistory, matchesQuery };
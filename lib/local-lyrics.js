@@ -0,0 +1,92 @@
+// Local Lyrics
+// Finds .lrc files in the user's lyrics folder. Files are matched by name,
+// either "Artist - Title.lrc" anywhere in the folder or "Title.lrc" inside
+// an "Artist" sub-folder, falling back to the [ar:]/[ti:] tags in the file.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_DEPTH = 2;
+const TAG_SCAN_BYTES = 2048;
+
+// Lowercase, strip accents and punctuation so "Beyoncé - Halo!" matches "beyonce halo"
+function normalizeName(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function listLrcFiles(folder, depth = 0) {
+  let entries;
+  try {
+    entries = fs.readdirSync(folder, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(folder, entry.name);
+    if (entry.isDirectory() && depth < MAX_DEPTH) {
+      files.push(...listLrcFiles(fullPath, depth + 1));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.lrc')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function readTags(file) {
+  let head = '';
+  try {
+    const fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(TAG_SCAN_BYTES);
+    const bytes = fs.readSync(fd, buffer, 0, TAG_SCAN_BYTES, 0);
+    fs.closeSync(fd);
+    head = buffer.slice(0, bytes).toString('utf8');
+  } catch (e) {
+    return {};
+  }
+
+  const tag = (name) => {
+    const match = head.match(new RegExp(`^\\[${name}:([^\\]]*)\\]`, 'mi'));
+    return match ? match[1].trim() : '';
+  };
+  return { artist: tag('ar'), title: tag('ti') };
+}
+
+// Returns { file, lrc } or null
+function findLocalLyrics(folder, artist, title) {
+  const wantTitle = normalizeName(title);
+  const wantArtist = normalizeName(artist);
+  if (!wantTitle) return null;
+
+  const files = listLrcFiles(folder);
+  const byName = files.find((file) => {
+    const name = normalizeName(path.basename(file, path.extname(file)));
+    const parent = normalizeName(path.basename(path.dirname(file)));
+    return name === normalizeName(`${artist} - ${title}`) ||
+      (name === wantTitle && parent === wantArtist);
+  });
+
+  const match = byName || files.find((file) => {
+    const name = normalizeName(path.basename(file));
+    if (!name.includes(wantTitle)) return false;
+    const tags = readTags(file);
+    return normalizeName(tags.title) === wantTitle && normalizeName(tags.artist) === wantArtist;
+  });
+
+  if (!match) return null;
+
+  try {
+    return { file: match, lrc: fs.readFileSync(match, 'utf8') };
+  } catch (e) {
+    console.error('Could not read lyrics file:', e.message);
+    return null;
+  }
+}
+
+module.exports = { findLocalLyrics, normalizeName };
@@ -0,0 +1,102 @@
+// Lyrics Cache
+// Stores parsed lyrics and "not found" results on disk so songs that were
+// played before work offline and misses are not refetched on every replay.
+// Entries are keyed by normalized artist/title/duration, expire after a TTL
+// and the least recently used ones are evicted above the size cap.
+
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { normalizeName } = require('./local-lyrics');
+
+// Bump when the stored lyrics format changes
+const CACHE_VERSION = 2;
+
+const DAY = 24 * 60 * 60 * 1000;
+const FOUND_TTL = 90 * DAY;
+const NOT_FOUND_TTL = DAY / 2;
+const MAX_ENTRIES = 1000;
+
+function cacheKey(song) {
+  const duration = Math.round(Number(song.duration) || 0);
+  return `${normalizeName(song.artist)}|${normalizeName(song.title)}|${duration}`;
+}
+
+function createLyricsCache(userDataPath) {
+  const store = createJsonStore(path.join(userDataPath, 'lyrics-cache.json'), {
+    version: CACHE_VERSION,
+    entries: {}
+  });
+
+  let entries = store.get('version') === CACHE_VERSION ? store.get('entries') : {};
+
+  function persist() {
+    store.set('version', CACHE_VERSION);
+    store.set('entries', entries);
+  }
+
+  function evict() {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt <= now) delete entries[key];
+    }
+
+    const keys = Object.keys(entries);
+    if (keys.length <= MAX_ENTRIES) return;
+
+    keys
+      .sort((a, b) => entries[a].lastUsed - entries[b].lastUsed)
+      .slice(0, keys.length - MAX_ENTRIES)
+      .forEach((key) => delete entries[key]);
+  }
+
+  // Returns { lyrics } on a hit (lyrics is null for a cached miss) or null
+  function get(song) {
+    const key = cacheKey(song);
+    const entry = entries[key];
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      delete entries[key];
+      persist();
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    persist();
+    return { lyrics: entry.lyrics };
+  }
+
+  // lyrics: parsed provider result, or null to remember a miss
+  function set(song, lyrics) {
+    const now = Date.now();
+    entries[cacheKey(song)] = {
+      lyrics: lyrics || null,
+      storedAt: now,
+      lastUsed: now,
+      expiresAt: now + (lyrics ? FOUND_TTL : NOT_FOUND_TTL)
+    };
+    evict();
+    persist();
+  }
+
+  function remove(song) {
+    delete entries[cacheKey(song)];
+    persist();
+  }
+
+  function clear() {
+    entries = {};
+    persist();
+  }
+
+  return {
+    get,
+    set,
+    remove,
+    clear,
+    flush: store.flush,
+    size: () => Object.keys(entries).length
+  };
+}
+
+module.exports = { createLyricsCache, cacheKey };
@@ -0,0 +1,90 @@
+// Lyrics Export
+// Turns the timed lines produced by the lyrics enhancer into .lrc, .srt or
+// .txt files. The user's sync offset (ms, positive = earlier) is applied to
+// every timestamp so the exported file plays in sync without the app.
+//
+// Lyrics shape: { lines: [{ time, text, words? }], offset, meta: { artist, title, album, duration } }
+
+// How long the last line (or a line before a long gap) stays on screen in SRT
+const MAX_SUBTITLE_SECONDS = 6;
+
+function shift(time, offset) {
+  return Math.max(0, time - (offset || 0) / 1000);
+}
+
+// mm:ss.xx as used by LRC
+function lrcStamp(seconds) {
+  const centis = Math.round(seconds * 100);
+  const minutes = Math.floor(centis / 6000);
+  const secs = Math.floor((centis % 6000) / 100);
+  return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centis % 100).padStart(2, '0')}`;
+}
+
+// hh:mm:ss,mmm as used by SRT
+function srtStamp(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const hours = Math.floor(millis / 3600000);
+  const minutes = Math.floor((millis % 3600000) / 60000);
+  const secs = Math.floor((millis % 60000) / 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)},${pad(millis % 1000, 3)}`;
+}
+
+function formatLRC({ lines, offset, meta = {} }) {
+  const out = [];
+  if (meta.artist) out.push(`[ar:${meta.artist}]`);
+  if (meta.title) out.push(`[ti:${meta.title}]`);
+  if (meta.album) out.push(`[al:${meta.album}]`);
+  if (meta.duration > 0) out.push(`[length:${lrcStamp(meta.duration).slice(0, 5)}]`);
+  out.push('[re:YT Music]');
+  out.push('');
+
+  for (const line of lines) {
+    if (line.time === null || line.time === undefined) {
+      out.push(line.text);
+      continue;
+    }
+
+    // Enhanced LRC keeps the word timings
+    const text = line.words
+      ? line.words.map((word) => `<${lrcStamp(shift(word.time, offset))}>${word.text}`).join('')
+      : line.text;
+    out.push(`[${lrcStamp(shift(line.time, offset))}]${text}`);
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function formatSRT({ lines, offset, meta = {} }) {
+  const timed = lines.filter((line) => line.time !== null && line.time !== undefined && line.text.trim());
+  const cues = timed.map((line, i) => {
+    const start = shift(line.time, offset);
+    const next = timed[i + 1];
+    let end = start + MAX_SUBTITLE_SECONDS;
+    if (next) end = Math.min(end, shift(next.time, offset));
+    else if (meta.duration > 0) end = Math.min(end, meta.duration);
+
+    return `${i + 1}\n${srtStamp(start)} --> ${srtStamp(Math.max(end, start + 0.5))}\n${line.text}\n`;
+  });
+
+  return cues.join('\n');
+}
+
+function formatText({ lines, meta = {} }) {
+  const header = [];
+  if (meta.title) header.push(meta.title);
+  if (meta.artist || meta.album) {
+    header.push([meta.artist, meta.album].filter(Boolean).join(' — '));
+  }
+
+  const body = lines.map((line) => line.text);
+  return (header.length > 0 ? header.join('\n') + '\n\n' : '') + body.join('\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+  lrc: { name: 'LRC Lyrics', extension: 'lrc', format: formatLRC },
+  srt: { name: 'SubRip Subtitles', extension: 'srt', format: formatSRT },
+  txt: { name: 'Plain Text', extension: 'txt', format: formatText }
+};
+
+module.exports = { EXPORT_FORMATS, formatLRC, formatSRT, formatText };
@@ -0,0 +1,289 @@
+// MPRIS Service
+// Publishes org.mpris.MediaPlayer2 on the Linux session bus so desktop media
+// widgets and playerctl can show metadata and control playback.
+// start() resolves to false when no session bus is available, letting the
+// caller fall back to global media key shortcuts.
+
+const BUS_NAME = 'org.mpris.MediaPlayer2.ytmusic';
+const OBJECT_PATH = '/org/mpris/MediaPlayer2';
+const NO_TRACK = '/org/mpris/MediaPlayer2/TrackList/NoTrack';
+
+// Treat position jumps bigger than this as a seek (seconds)
+const SEEK_TOLERANCE = 2;
+
+const LOOP_STATUS = { NONE: 'None', ALL: 'Playlist', ONE: 'Track' };
+const REPEAT_ORDER = ['NONE', 'ALL', 'ONE'];
+
+const METADATA_FIELDS = ['videoId', 'title', 'artist', 'album', 'thumbnail', 'duration'];
+
+function toMicroseconds(seconds) {
+  return BigInt(Math.round((seconds || 0) * 1e6));
+}
+
+function trackIdFor(state) {
+  if (!state.videoId) return NO_TRACK;
+  return `${OBJECT_PATH}/track/${state.videoId.replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+// dbus-next is only loaded on demand so other platforms never pay for it
+function defineInterfaces(dbus, service) {
+  const { Interface, ACCESS_READ } = dbus.interface;
+  const { Variant } = dbus;
+
+  class RootInterface extends Interface {
+    get CanQuit() { return true; }
+    get CanRaise() { return true; }
+    get HasTrackList() { return false; }
+    get Identity() { return 'YT Music'; }
+    get DesktopEntry() { return 'yt-music'; }
+    get SupportedUriSchemes() { return []; }
+    get SupportedMimeTypes() { return []; }
+    Raise() { service.raise(); }
+    Quit() { service.quit(); }
+  }
+
+  RootInterface.configureMembers({
+    properties: {
+      CanQuit: { signature: 'b', access: ACCESS_READ },
+      CanRaise: { signature: 'b', access: ACCESS_READ },
+      HasTrackList: { signature: 'b', access: ACCESS_READ },
+      Identity: { signature: 's', access: ACCESS_READ },
+      DesktopEntry: { signature: 's', access: ACCESS_READ },
+      SupportedUriSchemes: { signature: 'as', access: ACCESS_READ },
+      SupportedMimeTypes: { signature: 'as', access: ACCESS_READ }
+    },
+    methods: {
+      Raise: {},
+      Quit: {}
+    }
+  });
+
+  class PlayerInterface extends Interface {
+    get PlaybackStatus() {
+      const state = service.getState();
+      if (!state.videoId && !state.duration) return 'Stopped';
+      return state.isPlaying ? 'Playing' : 'Paused';
+    }
+
+    get LoopStatus() { return LOOP_STATUS[service.getState().repeatMode] || 'None'; }
+    set LoopStatus(value) { service.setRepeatMode(value); }
+
+    get Shuffle() { return service.getState().shuffle; }
+    set Shuffle(value) {
+      if (!!value !== service.getState().shuffle) service.run('shuffle');
+    }
+
+    // Only normal speed is supported; writes are accepted and ignored
+    get Rate() { return 1.0; }
+    set Rate(value) {}
+    get MinimumRate() { return 1.0; }
+    get MaximumRate() { return 1.0; }
+
+    get Volume() {
+      const state = service.getState();
+      return state.muted ? 0 : state.volume / 100;
+    }
+    set Volume(value) { service.run('volume', Math.max(0, Math.min(1, value)) * 100); }
+
+    get Position() { return toMicroseconds(service.getState().position); }
+
+    get Metadata() {
+      const state = service.getState();
+      const metadata = {
+        'mpris:trackid': new Variant('o', trackIdFor(state)),
+        'mpris:length': new Variant('x', toMicroseconds(state.duration)),
+        'xesam:title': new Variant('s', state.title),
+        // Only commas separate artists; "&" is often part of a name
+        'xesam:artist': new Variant('as', state.artist.split(/\s*,\s*/).filter(Boolean))
+      };
+      if (state.album) metadata['xesam:album'] = new Variant('s', state.album);
+      if (state.thumbnail) metadata['mpris:artUrl'] = new Variant('s', state.thumbnail);
+      if (state.videoId) {
+        metadata['xesam:url'] = new Variant('s', `https://music.youtube.com/watch?v=${state.videoId}`);
+      }
+      return metadata;
+    }
+
+    get CanGoNext() { return true; }
+    get CanGoPrevious() { return true; }
+    get CanPlay() { return true; }
+    get CanPause() { return true; }
+    get CanSeek() { return true; }
+    get CanControl() { return true; }
+
+    Next() { service.run('next'); }
+    Previous() { service.run('previous'); }
+    Pause() { service.run('pause'); }
+    PlayPause() { service.run('play-pause'); }
+    Stop() { service.run('pause'); }
+    Play() { service.run('play'); }
+
+    // offset is relative, in microseconds
+    Seek(offset) {
+      service.run('seek', service.getState().position + Number(offset) / 1e6);
+    }
+
+    // position is absolute, in microseconds; ignored for stale track ids
+    SetPosition(trackId, position) {
+      if (trackId !== trackIdFor(service.getState())) return;
+      service.run('seek', Number(position) / 1e6);
+    }
+
+    OpenUri(uri) {}
+
+    Seeked(position) { return position; }
+  }
+
+  PlayerInterface.configureMembers({
+    properties: {
+      PlaybackStatus: { signature: 's', access: ACCESS_READ },
+      LoopStatus: { signature: 's' },
+      Rate: { signature: 'd' },
+      Shuffle: { signature: 'b' },
+      Metadata: { signature: 'a{sv}', access: ACCESS_READ },
+      Volume: { signature: 'd' },
+      Position: { signature: 'x', access: ACCESS_READ },
+      MinimumRate: { signature: 'd', access: ACCESS_READ },
+      MaximumRate: { signature: 'd', access: ACCESS_READ },
+      CanGoNext: { signature: 'b', access: ACCESS_READ },
+      CanGoPrevious: { signature: 'b', access: ACCESS_READ },
+      CanPlay: { signature: 'b', access: ACCESS_READ },
+      CanPause: { signature: 'b', access: ACCESS_READ },
+      CanSeek: { signature: 'b', access: ACCESS_READ },
+      CanControl: { signature: 'b', access: ACCESS_READ }
+    },
+    methods: {
+      Next: {},
+      Previous: {},
+      Pause: {},
+      PlayPause: {},
+      Stop: {},
+      Play: {},
+      Seek: { inSignature: 'x' },
+      SetPosition: { inSignature: 'ox' },
+      OpenUri: { inSignature: 's' }
+    },
+    signals: {
+      Seeked: { signature: 'x' }
+    }
+  });
+
+  return {
+    root: new RootInterface('org.mpris.MediaPlayer2'),
+    player: new PlayerInterface('org.mpris.MediaPlayer2.Player'),
+    Interface
+  };
+}
+
+// options: { getState, runCommand, onRaise, onQuit }
+function createMprisService(options) {
+  const { getState, runCommand, onRaise, onQuit } = options;
+  let bus = null;
+  let interfaces = null;
+  let lastPosition = { position: 0, at: Date.now() };
+
+  const service = {
+    getState,
+    run: (command, value) => runCommand(command, value),
+    raise: () => onRaise && onRaise(),
+    quit: () => onQuit && onQuit(),
+
+    // MPRIS sets an absolute loop status; YouTube Music can only cycle it
+    setRepeatMode: async (loopStatus) => {
+      const target = Object.keys(LOOP_STATUS).find((mode) => LOOP_STATUS[mode] === loopStatus);
+      if (!target) return;
+      const steps = (REPEAT_ORDER.indexOf(target) - REPEAT_ORDER.indexOf(getState().repeatMode) + 3) % 3;
+      for (let i = 0; i < steps; i++) {
+        await runCommand('repeat');
+      }
+    }
+  };
+
+  async function start() {
+    if (process.platform !== 'linux' || !process.env.DBUS_SESSION_BUS_ADDRESS) {
+      return false;
+    }
+
+    let dbus;
+    try {
+      dbus = require('dbus-next');
+    } catch (e) {
+      console.warn('MPRIS unavailable: dbus-next is not installed');
+      return false;
+    }
+
+    try {
+      bus = dbus.sessionBus();
+      bus.on('error', (error) => console.error('MPRIS bus error:', error.message));
+
+      interfaces = defineInterfaces(dbus, service);
+      bus.export(OBJECT_PATH, interfaces.root);
+      bus.export(OBJECT_PATH, interfaces.player);
+
+      const reply = await bus.requestName(BUS_NAME, dbus.NameFlag.DO_NOT_QUEUE);
+      if (reply !== dbus.RequestNameReply.PRIMARY_OWNER) {
+        throw new Error(`${BUS_NAME} is already owned by another process`);
+      }
+      return true;
+    } catch (e) {
+      console.warn('MPRIS unavailable:', e.message);
+      stop();
+      return false;
+    }
+  }
+
+  // Forward player state changes as PropertiesChanged / Seeked signals
+  function update(changes, state) {
+    if (!interfaces) return;
+    const { player, Interface } = interfaces;
+    const changed = {};
+
+    if (METADATA_FIELDS.some((field) => field in changes)) {
+      changed.Metadata = player.Metadata;
+    }
+    if ('isPlaying' in changes || 'videoId' in changes) {
+      changed.PlaybackStatus = player.PlaybackStatus;
+    }
+    if ('volume' in changes || 'muted' in changes) {
+      changed.Volume = player.Volume;
+    }
+    if ('shuffle' in changes) {
+      changed.Shuffle = player.Shuffle;
+    }
+    if ('repeatMode' in changes) {
+      changed.LoopStatus = player.LoopStatus;
+    }
+
+    if (Object.keys(changed).length > 0) {
+      Interface.emitPropertiesChanged(player, changed);
+    }
+
+    // Time spent paused isn't playback, so measure from the last play/pause
+    if ('isPlaying' in changes) {
+      lastPosition = { ...lastPosition, at: Date.now() };
+    }
+
+    // Position is polled by clients; only jumps are signalled
+    if ('position' in changes) {
+      const now = Date.now();
+      const elapsed = state.isPlaying ? (now - lastPosition.at) / 1000 : 0;
+      const expected = lastPosition.position + elapsed;
+      if (!('videoId' in changes) && Math.abs(state.position - expected) > SEEK_TOLERANCE) {
+        player.Seeked(toMicroseconds(state.position));
+      }
+      lastPosition = { position: state.position, at: now };
+    }
+  }
+
+  function stop() {
+    if (bus) {
+      bus.disconnect();
+    }
+    bus = null;
+    interfaces = null;
+  }
+
+  return { start, update, stop };
+}
+
+module.exports = { createMprisService };
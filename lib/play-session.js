@@ -0,0 +1,93 @@
+// Play Session
+// Follows one play of a track through player state changes. A new play
+// starts when another track comes on or the same track restarts (repeat
+// one). Listening time is counted from position updates, so seeking doesn't
+// inflate it. Shared by the scrobbler and the listening history.
+//
+// Play shape: {
+//   key, videoId, title, artist, album,
+//   duration,      // track length in seconds
+//   startedAt,     // ms timestamp
+//   listened,      // seconds actually played
+//   lastPosition   // last seen position in seconds
+// }
+
+const MAX_POSITION_STEP = 5;    // larger jumps are seeks, not listening
+
+function hasTrack(state) {
+  return state.title !== 'Not Playing' && state.artist !== '-';
+}
+
+function trackKey(state) {
+  return state.videoId || `${state.artist}::${state.title}`;
+}
+
+// options: { onEnd }
+//   onEnd(play, replaced) - a play finished; replaced is true when another
+//                           play took over, false when end() was called
+function createPlayTracker(options = {}) {
+  const { onEnd } = options;
+  let play = null;
+
+  function startPlay(state) {
+    return !hasTrack(state) ? null : {
+      key: trackKey(state),
+      videoId: state.videoId,
+      title: state.title,
+      artist: state.artist,
+      album: state.album,
+      duration: state.duration,
+      startedAt: Date.now(),
+      listened: 0,
+      lastPosition: state.position
+    };
+  }
+
+  function finish(replaced) {
+    const previous = play;
+    play = null;
+    if (previous && onEnd) onEnd(previous, replaced);
+  }
+
+  // Called for every player state change; returns the current play, if any
+  function update(changes, state) {
+    // Replaying the same track (repeat one) jumps from the end back to the start
+    const restarted = play && 'position' in changes &&
+      state.position < MAX_POSITION_STEP && play.duration > 0 &&
+      play.lastPosition > play.duration - MAX_POSITION_STEP * 2;
+
+    if (!play || play.key !== trackKey(state) || restarted) {
+      finish(true);
+      play = startPlay(state);
+      if (!play) return null;
+    }
+
+    // Metadata often settles a moment after the track starts
+    play.videoId = state.videoId || play.videoId;
+    play.title = state.title;
+    play.artist = state.artist;
+    play.album = state.album;
+    play.duration = state.duration;
+
+    const delta = state.position - play.lastPosition;
+    if (state.isPlaying && delta > 0 && delta <= MAX_POSITION_STEP) {
+      play.listened += delta;
+    }
+    play.lastPosition = state.position;
+    return play;
+  }
+
+  // Finish the play in progress
+  function end() {
+    finish(false);
+  }
+
+  // Forget the play in progress without finishing it
+  function reset() {
+    play = null;
+  }
+
+  return { update, end, reset };
+}
+
+module.exports = { createPlayTracker };
@@ -0,0 +1,217 @@
+// Player Controller
+// Single place that knows how to drive the YouTube Music page.
+// Every entry point (media keys, mini player, hotkeys...) goes through here,
+// so a YouTube Music DOM change only needs to be fixed in this file.
+
+// Helpers available to every page snippet
+const PAGE_HELPERS = `
+  const video = document.querySelector('video');
+  const playerBar = document.querySelector('ytmusic-player-bar');
+  const moviePlayer = document.querySelector('#movie_player');
+  const hasMedia = !!(video && (video.currentSrc || video.src));
+  const ok = (extra) => Object.assign({ ok: true }, extra);
+  const fail = (error) => ({ ok: false, error });
+  const clickFirst = (root, selectors) => {
+    if (!root) return false;
+    for (const selector of selectors) {
+      const el = root.querySelector(selector);
+      if (el) {
+        el.click();
+        return true;
+      }
+    }
+    return false;
+  };
+`;
+
+const SELECTORS = {
+  playPause: ['.play-pause-button', '#play-pause-button'],
+  next: ['.next-button'],
+  previous: ['.previous-button'],
+  shuffle: ['.shuffle', 'tp-yt-paper-icon-button.shuffle'],
+  repeat: ['.repeat', 'tp-yt-paper-icon-button.repeat'],
+  like: ['.like button', '#button-shape-like button', 'tp-yt-paper-icon-button.like'],
+  dislike: ['.dislike button', '#button-shape-dislike button', 'tp-yt-paper-icon-button.dislike']
+};
+
+function createPlayerController(getWebContents) {
+  // Run a snippet in the page and normalize its result to { ok, error? }
+  function runInPage(body) {
+    const contents = getWebContents();
+    if (!contents || contents.isDestroyed()) {
+      return Promise.resolve({ ok: false, error: 'Main window is not available' });
+    }
+
+    const code = `(function () {${PAGE_HELPERS}\n${body}\n})();`;
+    return contents.executeJavaScript(code)
+      .then((result) => result || { ok: false, error: 'No result from page' })
+      .catch((error) => ({ ok: false, error: error.message }));
+  }
+
+  function clickButton(selectors, name) {
+    return runInPage(`
+      if (clickFirst(playerBar, ${JSON.stringify(selectors)}) ||
+          clickFirst(document, ${JSON.stringify(selectors)})) {
+        return ok();
+      }
+      return fail('${name} button not found');
+    `);
+  }
+
+  // Lists and shelves have like buttons too; only the player bar's own
+  // renderer rates the current track
+  function clickRating(selectors, name) {
+    return runInPage(`
+      const renderer = playerBar && playerBar.querySelector('ytmusic-like-button-renderer');
+      if (clickFirst(renderer, ${JSON.stringify(selectors)})) return ok();
+      return fail('${name} button not found');
+    `);
+  }
+
+  function playPause() {
+    return runInPage(`
+      if (hasMedia) {
+        if (video.paused) video.play();
+        else video.pause();
+        return ok({ isPlaying: !video.paused });
+      }
+      if (clickFirst(document, ${JSON.stringify(SELECTORS.playPause)})) return ok();
+      return fail('Nothing to play');
+    `);
+  }
+
+  function play() {
+    return runInPage(`
+      if (!hasMedia) return fail('Nothing to play');
+      if (video.paused) video.play();
+      return ok({ isPlaying: true });
+    `);
+  }
+
+  function pause() {
+    return runInPage(`
+      if (!hasMedia) return fail('Nothing to pause');
+      if (!video.paused) video.pause();
+      return ok({ isPlaying: false });
+    `);
+  }
+
+  function next() {
+    return clickButton(SELECTORS.next, 'Next');
+  }
+
+  function previous() {
+    return clickButton(SELECTORS.previous, 'Previous');
+  }
+
+  // Seek to an absolute position in seconds
+  function seek(seconds) {
+    const target = Number(seconds);
+    if (!Number.isFinite(target)) {
+      return Promise.resolve({ ok: false, error: 'Invalid seek position' });
+    }
+
+    return runInPage(`
+      if (!hasMedia || !Number.isFinite(video.duration)) return fail('Nothing to seek');
+      video.currentTime = Math.max(0, Math.min(video.duration, ${target}));
+      return ok({ position: video.currentTime });
+    `);
+  }
+
+  // Seek to a percentage (0-100) of the current track
+  function seekPercent(percent) {
+    const target = Number(percent);
+    if (!Number.isFinite(target)) {
+      return Promise.resolve({ ok: false, error: 'Invalid seek position' });
+    }
+
+    return runInPage(`
+      if (!hasMedia || !Number.isFinite(video.duration)) return fail('Nothing to seek');
+      const percent = Math.max(0, Math.min(100, ${target}));
+      video.currentTime = video.duration * percent / 100;
+      return ok({ position: video.currentTime });
+    `);
+  }
+
+  // Set volume in percent (0-100)
+  function setVolume(volume) {
+    const target = Number(volume);
+    if (!Number.isFinite(target)) {
+      return Promise.resolve({ ok: false, error: 'Invalid volume' });
+    }
+
+    return runInPage(`
+      const volume = Math.round(Math.max(0, Math.min(100, ${target})));
+      // Prefer the player API so YouTube Music's own slider stays in sync
+      if (moviePlayer && typeof moviePlayer.setVolume === 'function') {
+        moviePlayer.setVolume(volume);
+        if (volume > 0 && typeof moviePlayer.unMute === 'function') moviePlayer.unMute();
+        return ok({ volume });
+      }
+      if (!video) return fail('No video element');
+      video.volume = volume / 100;
+      if (volume > 0) video.muted = false;
+      return ok({ volume });
+    `);
+  }
+
+  function toggleShuffle() {
+    return clickButton(SELECTORS.shuffle, 'Shuffle');
+  }
+
+  // Cycles through YouTube Music's repeat modes (off -> all -> one)
+  function cycleRepeat() {
+    return clickButton(SELECTORS.repeat, 'Repeat');
+  }
+
+  function like() {
+    return clickRating(SELECTORS.like, 'Like');
+  }
+
+  function dislike() {
+    return clickRating(SELECTORS.dislike, 'Dislike');
+  }
+
+  // Command names used by IPC and other entry points
+  const commands = {
+    'play-pause': playPause,
+    'play': play,
+    'pause': pause,
+    'next': next,
+    'previous': previous,
+    'seek': seek,
+    'seek-percent': seekPercent,
+    'volume': setVolume,
+    'shuffle': toggleShuffle,
+    'repeat': cycleRepeat,
+    'like': like,
+    'dislike': dislike
+  };
+
+  function run(command, value) {
+    const handler = commands[command];
+    if (!handler) {
+      return Promise.resolve({ ok: false, error: `Unknown command: ${command}` });
+    }
+    return handler(value);
+  }
+
+  return {
+    playPause,
+    play,
+    pause,
+    next,
+    previous,
+    seek,
+    seekPercent,
+    setVolume,
+    toggleShuffle,
+    cycleRepeat,
+    like,
+    dislike,
+    run,
+    commands: Object.keys(commands)
+  };
+}
+
+module.exports = { createPlayerController };
@@ -0,0 +1,116 @@
+// Player State
+// Structured now-playing model kept in the main process.
+// Updates coming from the page are normalized, diffed and emitted as
+// 'change' events carrying only the fields that actually changed.
+
+const EventEmitter = require('events');
+
+const REPEAT_MODES = ['NONE', 'ALL', 'ONE'];
+const LIKE_STATUSES = ['INDIFFERENT', 'LIKE', 'DISLIKE'];
+
+const DEFAULT_STATE = {
+  videoId: '',
+  title: 'Not Playing',
+  artist: '-',
+  album: '',
+  thumbnail: '',
+  duration: 0,        // seconds
+  position: 0,        // seconds
+  isPlaying: false,
+  volume: 100,        // 0-100
+  muted: false,
+  shuffle: false,
+  repeatMode: 'NONE', // NONE | ALL | ONE
+  likeStatus: 'INDIFFERENT', // INDIFFERENT | LIKE | DISLIKE
+  queuePosition: { index: -1, length: 0 },
+  bpm: 0              // estimated tempo, 0 while unknown
+};
+
+function toSeconds(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return 0;
+  // Tenths are plenty and keep float noise out of the diff
+  return Math.round(number * 10) / 10;
+}
+
+function toText(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const text = value.trim();
+  return text || fallback;
+}
+
+// Normalizers per field; unknown fields are dropped
+const NORMALIZERS = {
+  videoId: (v) => toText(v, ''),
+  title: (v) => toText(v, DEFAULT_STATE.title),
+  artist: (v) => toText(v, DEFAULT_STATE.artist),
+  album: (v) => toText(v, ''),
+  thumbnail: (v) => toText(v, ''),
+  duration: toSeconds,
+  position: toSeconds,
+  isPlaying: (v) => !!v,
+  volume: (v) => Math.round(Math.max(0, Math.min(100, Number(v) || 0))),
+  muted: (v) => !!v,
+  shuffle: (v) => !!v,
+  repeatMode: (v) => (REPEAT_MODES.includes(v) ? v : 'NONE'),
+  likeStatus: (v) => (LIKE_STATUSES.includes(v) ? v : 'INDIFFERENT'),
+  queuePosition: (v) => ({
+    index: Number.isInteger(v && v.index) ? v.index : -1,
+    length: Number.isInteger(v && v.length) ? v.length : 0
+  }),
+  bpm: (v) => Math.round(Math.max(0, Math.min(300, Number(v) || 0)))
+};
+
+function isEqual(a, b) {
+  if (a && b && typeof a === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function createPlayerState() {
+  const emitter = new EventEmitter();
+  let state = { ...DEFAULT_STATE };
+
+  // Merge a partial update; returns the changed fields (empty if none)
+  function update(patch) {
+    const changes = {};
+    if (!patch || typeof patch !== 'object') return changes;
+
+    for (const [key, value] of Object.entries(patch)) {
+      const normalize = NORMALIZERS[key];
+      if (!normalize) continue;
+
+      const normalized = normalize(value);
+      if (!isEqual(state[key], normalized)) {
+        changes[key] = normalized;
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      const previous = state;
+      state = { ...state, ...changes };
+      emitter.emit('change', changes, state, previous);
+    }
+
+    return changes;
+  }
+
+  function get() {
+    return { ...state, queuePosition: { ...state.queuePosition } };
+  }
+
+  function reset() {
+    return update(DEFAULT_STATE);
+  }
+
+  return {
+    get,
+    update,
+    reset,
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.off(event, listener)
+  };
+}
+
+module.exports = { createPlayerState, DEFAULT_STATE, REPEAT_MODES, LIKE_STATUSES };
@@ -0,0 +1,222 @@
+// Remote Control Server
+// Opt-in local HTTP + WebSocket API for controlling the player from
+// scripts and other devices. Every request needs the pairing token, sent
+// as "Authorization: Bearer <token>" or as a ?token= query parameter.
+//
+//   GET  /api/v1/state     -> current player state
+//   POST /api/v1/command   -> { "command": "seek", "value": 42 }
+//   WS   /api/v1/ws        -> { type: 'state' | 'state-changed' | 'result' }
+
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const API_PREFIX = '/api/v1';
+const MAX_BODY_SIZE = 16 * 1024;
+
+// Commands remote clients may run (names match the player controller)
+const REMOTE_COMMANDS = ['play-pause', 'play', 'pause', 'next', 'previous', 'seek', 'volume', 'like', 'dislike'];
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokensMatch(expected, actual) {
+  if (!expected || typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// options: { host, port, token, getState, runCommand }
+function createRemoteServer(options) {
+  const { host = '127.0.0.1', port = 0, token, getState, runCommand } = options;
+  let server = null;
+  let wss = null;
+
+  function isAuthorized(req, url) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return tokensMatch(token, bearer || url.searchParams.get('token'));
+  }
+
+  function execute(command, value) {
+    if (!REMOTE_COMMANDS.includes(command)) {
+      return Promise.resolve({ ok: false, error: `Unsupported command: ${command}` });
+    }
+    return runCommand(command, value);
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!url.pathname.startsWith(API_PREFIX)) {
+      sendJSON(res, 404, { ok: false, error: 'Not found' });
+      return;
+    }
+
+    if (!isAuthorized(req, url)) {
+      sendJSON(res, 401, { ok: false, error: 'Invalid or missing pairing token' });
+      return;
+    }
+
+    const route = url.pathname.slice(API_PREFIX.length);
+
+    if (route === '/state' && req.method === 'GET') {
+      sendJSON(res, 200, getState());
+      return;
+    }
+
+    if (route === '/command' && req.method === 'POST') {
+      let payload;
+      try {
+        payload = JSON.parse(await readBody(req));
+      } catch (e) {
+        sendJSON(res, 400, { ok: false, error: 'Body must be JSON: { "command": "...", "value": ... }' });
+        return;
+      }
+
+      const result = await execute(payload && payload.command, payload && payload.value);
+      sendJSON(res, result.ok ? 200 : 400, result);
+      return;
+    }
+
+    sendJSON(res, 404, { ok: false, error: 'Not found' });
+  }
+
+  function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== `${API_PREFIX}/ws` || !isAuthorized(req, url)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  }
+
+  function reply(ws, body) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'result', ...body }));
+    }
+  }
+
+  async function handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (e) {
+      reply(ws, { ok: false, error: 'Message must be JSON' });
+      return;
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      reply(ws, { ok: false, error: 'Message must be an object: { "command": "...", "value": ... }' });
+      return;
+    }
+
+    let result;
+    try {
+      result = await execute(message.command, message.value);
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    }
+    reply(ws, { id: message.id, ...result });
+  }
+
+  function handleConnection(ws) {
+    ws.send(JSON.stringify({ type: 'state', state: getState() }));
+
+    ws.on('message', (data) => {
+      handleMessage(ws, data).catch((error) => {
+        reply(ws, { ok: false, error: error.message });
+      });
+    });
+  }
+
+  function start() {
+    if (server) return Promise.resolve(address());
+    if (!token) return Promise.reject(new Error('A pairing token is required'));
+
+    server = http.createServer((req, res) => {
+      handleRequest(req, res).catch((error) => {
+        sendJSON(res, 500, { ok: false, error: error.message });
+      });
+    });
+    wss = new WebSocketServer({ noServer: true });
+    wss.on('connection', handleConnection);
+    server.on('upgrade', handleUpgrade);
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (error) => {
+        server = null;
+        wss.close();
+        wss = null;
+        reject(error);
+      });
+      server.listen(port, host, () => resolve(address()));
+    });
+  }
+
+  function stop() {
+    if (!server) return Promise.resolve();
+
+    for (const client of wss.clients) {
+      client.terminate();
+    }
+    wss.close();
+
+    const closing = server;
+    server = null;
+    wss = null;
+    return new Promise((resolve) => closing.close(() => resolve()));
+  }
+
+  // Push changed state fields to every connected WebSocket client
+  function broadcastChanges(changes) {
+    if (!wss) return;
+    const message = JSON.stringify({ type: 'state-changed', changes });
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    }
+  }
+
+  function address() {
+    return server ? server.address() : null;
+  }
+
+  return { start, stop, broadcastChanges, address };
+}
+
+module.exports = { createRemoteServer, generateToken, REMOTE_COMMANDS };
@@ -0,0 +1,210 @@
+// Scrobble Targets
+// Each target knows how to send "now playing" updates and batches of
+// scrobbles to one kind of service. API URLs are configurable so any
+// compatible server (or a local stub) can be used.
+//
+// Track shape: { artist, title, album, duration, timestamp }
+//
+// Failed calls throw an Error whose `kind` tells the scrobbler what to do:
+//   'rejected' - the service refused these tracks; retrying won't help
+//   'config'   - credentials or settings are wrong; wait for a settings change
+//   (none)     - network trouble or a service hiccup; retry later
+
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT = 15000; // ms
+
+// Last.fm accepts at most 50 scrobbles per request
+const LASTFM_BATCH_SIZE = 50;
+
+// Last.fm error codes that aren't worth retrying
+const LASTFM_CONFIG_ERRORS = [4, 9, 10, 13, 14, 26]; // auth, session, API key, signature, suspended key
+const LASTFM_REJECTED_ERRORS = [6, 7];                 // invalid parameters or resource
+
+function targetError(message, kind) {
+  const error = new Error(message);
+  if (kind) error.kind = kind;
+  return error;
+}
+
+// 408 and 429 only mean "not now"
+function kindForStatus(status) {
+  if (status === 401 || status === 403) return 'config';
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) return 'rejected';
+  return undefined;
+}
+
+async function request(url, options) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  const text = await response.text();
+
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (e) {
+    body = null;
+  }
+
+  if (!response.ok) {
+    const message = (body && (body.message || body.error)) || text || response.statusText;
+    const error = targetError(`HTTP ${response.status}: ${message}`, kindForStatus(response.status));
+    error.body = body;
+    throw error;
+  }
+  return body;
+}
+
+// --- Last.fm compatible (Audioscrobbler 2.0) ---
+
+function signLastfm(params, secret) {
+  const payload = Object.keys(params)
+    .sort()
+    .map((key) => key + params[key])
+    .join('');
+  return crypto.createHash('md5').update(payload + secret, 'utf8').digest('hex');
+}
+
+function lastfmError(data) {
+  const kind = LASTFM_CONFIG_ERRORS.includes(data.error) ? 'config'
+    : LASTFM_REJECTED_ERRORS.includes(data.error) ? 'rejected'
+      : undefined;
+  return targetError(`Last.fm error ${data.error}: ${data.message}`, kind);
+}
+
+function createLastfmTarget(config) {
+  async function call(method, params) {
+    if (!config.apiKey || !config.apiSecret || !config.sessionKey) {
+      throw targetError('Last.fm target needs apiKey, apiSecret and sessionKey', 'config');
+    }
+
+    const signed = { ...params, method, api_key: config.apiKey, sk: config.sessionKey };
+    const body = new URLSearchParams({ ...signed, api_sig: signLastfm(signed, config.apiSecret), format: 'json' });
+
+    let data;
+    try {
+      data = await request(config.apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+      });
+    } catch (error) {
+      // Last.fm explains HTTP errors with its own code in the body
+      throw error.body && error.body.error ? lastfmError(error.body) : error;
+    }
+    if (data && data.error) {
+      throw lastfmError(data);
+    }
+    return data;
+  }
+
+  return {
+    batchSize: LASTFM_BATCH_SIZE,
+
+    nowPlaying(track) {
+      const params = { artist: track.artist, track: track.title };
+      if (track.album) params.album = track.album;
+      if (track.duration) params.duration = String(Math.round(track.duration));
+      return call('track.updateNowPlaying', params);
+    },
+
+    scrobble(tracks) {
+      const params = {};
+      tracks.forEach((track, i) => {
+        params[`artist[${i}]`] = track.artist;
+        params[`track[${i}]`] = track.title;
+        params[`timestamp[${i}]`] = String(track.timestamp);
+        if (track.album) params[`album[${i}]`] = track.album;
+        if (track.duration) params[`duration[${i}]`] = String(Math.round(track.duration));
+      });
+      return call('track.scrobble', params);
+    }
+  };
+}
+
+// --- ListenBrainz compatible ---
+
+function toListen(track, withTimestamp) {
+  const listen = {
+    track_metadata: {
+      artist_name: track.artist,
+      track_name: track.title,
+      additional_info: {
+        media_player: 'YT Music',
+        music_service: 'music.youtube.com'
+      }
+    }
+  };
+  if (track.album) listen.track_metadata.release_name = track.album;
+  if (track.duration) listen.track_metadata.additional_info.duration_ms = Math.round(track.duration * 1000);
+  if (withTimestamp) listen.listened_at = track.timestamp;
+  return listen;
+}
+
+function createListenBrainzTarget(config) {
+  async function submit(listenType, payload) {
+    if (!config.token) {
+      throw targetError('ListenBrainz target needs a user token', 'config');
+    }
+
+    return request(`${config.apiUrl.replace(/\/+$/, '')}/1/submit-listens`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Token ${config.token}`
+      },
+      body: JSON.stringify({ listen_type: listenType, payload })
+    });
+  }
+
+  return {
+    batchSize: 100,
+
+    nowPlaying(track) {
+      return submit('playing_now', [toListen(track, false)]);
+    },
+
+    scrobble(tracks) {
+      const listenType = tracks.length === 1 ? 'single' : 'import';
+      return submit(listenType, tracks.map((track) => toListen(track, true)));
+    }
+  };
+}
+
+// --- Custom URL: plain JSON webhook ---
+
+function createCustomTarget(config) {
+  async function post(type, tracks) {
+    if (!config.url) {
+      throw targetError('Custom scrobble target needs a URL', 'config');
+    }
+
+    return request(config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: JSON.stringify({ type, tracks })
+    });
+  }
+
+  return {
+    batchSize: 50,
+    nowPlaying: (track) => post('now-playing', [track]),
+    scrobble: (tracks) => post('scrobble', tracks)
+  };
+}
+
+const TARGETS = {
+  lastfm: createLastfmTarget,
+  listenbrainz: createListenBrainzTarget,
+  custom: createCustomTarget
+};
+
+// settings: the "scrobbling" settings section
+function createScrobbleTarget(settings) {
+  const factory = TARGETS[settings.target];
+  if (!factory) {
+    throw targetError(`Unknown scrobble target: ${settings.target}`, 'config');
+  }
+  return factory(settings[settings.target] || {});
+}
+
+module.exports = { createScrobbleTarget, signLastfm, TARGET_NAMES: Object.keys(TARGETS) };
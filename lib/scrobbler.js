@@ -0,0 +1,173 @@
+// Scrobbler
+// Follows the standard scrobbling rules: a track counts once it has been
+// played for half its length or 4 minutes, whichever comes first, and
+// tracks shorter than 30 seconds are never scrobbled. Scrobbles go into a
+// persisted queue and are retried with backoff until the target accepts them.
+// Tracks the target refuses outright are moved to a "rejected" list so they
+// can't hold up the rest of the queue, and a target that refuses the
+// credentials is left alone until the settings change.
+
+const { createScrobbleTarget } = require('./scrobble-targets');
+const { createPlayTracker } = require('./play-session');
+
+const MIN_TRACK_LENGTH = 30;    // seconds
+const MAX_THRESHOLD = 240;      // seconds
+const MAX_QUEUE_LENGTH = 5000;
+const MAX_REJECTED_LENGTH = 500;
+
+const RETRY_MIN_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+// options: { store, getSettings }
+//   store       - json store holding the pending "queue" and the "rejected" tracks
+//   getSettings - returns the "scrobbling" settings section
+function createScrobbler(options) {
+  const { store, getSettings } = options;
+  let queue = store.get('queue') || [];
+  const plays = createPlayTracker();
+  // The plays already announced and scrobbled
+  let nowPlayingSentFor = null;
+  let scrobbledPlay = null;
+  let flushing = false;
+  let retryTimer = null;
+  let retryDelay = RETRY_MIN_DELAY;
+
+  function toTrack(play) {
+    return {
+      artist: play.artist,
+      title: play.title,
+      album: play.album,
+      duration: play.duration,
+      timestamp: Math.floor(play.startedAt / 1000)
+    };
+  }
+
+  function sendNowPlaying(play) {
+    let target;
+    try {
+      target = createScrobbleTarget(getSettings());
+    } catch (e) {
+      console.warn('Scrobbler:', e.message);
+      return;
+    }
+
+    target.nowPlaying(toTrack(play)).catch((error) => {
+      console.warn('Scrobbler: now playing update failed:', error.message);
+    });
+  }
+
+  // Called for every player state change
+  function handleStateChange(changes, state) {
+    if (!getSettings().enabled) {
+      plays.reset();
+      return;
+    }
+
+    const play = plays.update(changes, state);
+    if (!play) return;
+
+    if (state.isPlaying && nowPlayingSentFor !== play && play.duration > 0) {
+      nowPlayingSentFor = play;
+      sendNowPlaying(play);
+    }
+
+    const threshold = Math.min(play.duration / 2, MAX_THRESHOLD);
+    if (scrobbledPlay !== play && play.duration >= MIN_TRACK_LENGTH && play.listened >= threshold) {
+      scrobbledPlay = play;
+      enqueue(toTrack(play));
+    }
+  }
+
+  function persist() {
+    store.set('queue', queue);
+  }
+
+  function enqueue(track) {
+    queue.push(track);
+    if (queue.length > MAX_QUEUE_LENGTH) {
+      queue = queue.slice(queue.length - MAX_QUEUE_LENGTH);
+    }
+    persist();
+    flush();
+  }
+
+  // Keep refused tracks around for inspection instead of retrying them
+  function park(batch, reason) {
+    const rejected = (store.get('rejected') || []).concat(batch.map((track) => ({ ...track, reason })));
+    store.set('rejected', rejected.slice(-MAX_REJECTED_LENGTH));
+    console.warn(`Scrobbler: target rejected ${batch.length} scrobble(s):`, reason);
+  }
+
+  function scheduleRetry() {
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_DELAY);
+  }
+
+  // Submit queued scrobbles in batches; on failure keep them and retry later
+  async function flush() {
+    if (flushing || queue.length === 0 || !getSettings().enabled) return;
+    flushing = true;
+
+    try {
+      const target = createScrobbleTarget(getSettings());
+      let batchSize = target.batchSize;
+      while (queue.length > 0) {
+        const batch = queue.slice(0, batchSize);
+        try {
+          await target.scrobble(batch);
+          console.log(`Scrobbler: submitted ${batch.length} scrobble(s)`);
+        } catch (e) {
+          if (e.kind !== 'rejected') throw e;
+          // Resend one at a time so only the offending track gets parked
+          if (batch.length > 1) {
+            batchSize = 1;
+            continue;
+          }
+          park(batch, e.message);
+        }
+        queue = queue.slice(batch.length);
+        persist();
+      }
+      retryDelay = RETRY_MIN_DELAY;
+    } catch (e) {
+      if (e.kind === 'config') {
+        // Retrying can't fix credentials; changing the settings flushes again
+        console.warn(`Scrobbler: ${queue.length} scrobble(s) pending until the settings are fixed:`, e.message);
+      } else {
+        console.warn(`Scrobbler: ${queue.length} scrobble(s) pending, retrying later:`, e.message);
+        scheduleRetry();
+      }
+    } finally {
+      flushing = false;
+    }
+  }
+
+  // Skip the rest of the backoff, e.g. when the network comes back
+  function retryNow() {
+    if (!retryTimer) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryDelay = RETRY_MIN_DELAY;
+    return flush();
+  }
+
+  function stop() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    store.flush();
+  }
+
+  return {
+    handleStateChange,
+    flush,
+    retryNow,
+    stop,
+    pendingCount: () => queue.length
+  };
+}
+
+module.exports = { createScrobbler };
@@ -0,0 +1,124 @@
+// Settings
+// User settings stored as settings.json in the app data directory.
+// Each feature owns a section; stored values are merged over the defaults
+// below so new options appear without migrating old files.
+
+const EventEmitter = require('events');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+
+const DEFAULT_SETTINGS = {
+  remoteControl: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 9863,
+    token: ''
+  },
+
+  // target is one of "lastfm", "listenbrainz" or "custom"
+  scrobbling: {
+    enabled: false,
+    target: 'lastfm',
+    lastfm: {
+      apiUrl: 'https://ws.audioscrobbler.com/2.0/',
+      apiKey: '',
+      apiSecret: '',
+      sessionKey: ''
+    },
+    listenbrainz: {
+      apiUrl: 'https://api.listenbrainz.org',
+      token: ''
+    },
+    custom: {
+      url: '',
+      headers: {}
+    }
+  },
+
+  // clientId is the Discord application the presence is shown for
+  discordPresence: {
+    enabled: false,
+    clientId: ''
+  },
+
+  // providers are tried in order; localFolder defaults to <userData>/lyrics;
+  // transliteration turns the romanized line on or off per script
+  lyrics: {
+    providers: ['local', 'lrclib', 'lrclib-search', 'youtube'],
+    localFolder: '',
+    transliteration: {
+      ja: true,
+      ko: true,
+      cyrillic: true,
+      greek: true
+    }
+  },
+
+  // lyricsMode is "off", "line" or "expanded"
+  miniPlayer: {
+    lyricsMode: 'line'
+  },
+
+  // preset is a built-in id ("default", "calm", ...) or "user:<file name>"
+  visualizer: {
+    preset: 'default'
+  },
+
+  // gains/preamp are the current curve in dB; preset names where it came
+  // from ("custom" once edited). devicePresets remembers the curve used on
+  // each output device, keyed by device label.
+  equalizer: {
+    enabled: false,
+    preset: 'flat',
+    preamp: 0,
+    gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    devicePresets: {}
+  },
+
+  // target is the loudness tracks are leveled to, in LUFS
+  leveling: {
+    enabled: false,
+    target: -14
+  }
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = merge(base[key], value);
+  }
+  return result;
+}
+
+function createSettings(userDataPath) {
+  const emitter = new EventEmitter();
+  const store = createJsonStore(path.join(userDataPath, 'settings.json'));
+
+  function get(section) {
+    return merge(DEFAULT_SETTINGS[section], store.get(section));
+  }
+
+  // Merge a partial update into a section and notify listeners
+  function set(section, patch) {
+    const value = merge(get(section), patch);
+    store.set(section, value);
+    emitter.emit('change', section, value);
+    return value;
+  }
+
+  return {
+    get,
+    set,
+    flush: store.flush,
+    on: (event, listener) => emitter.on(event, listener)
+  };
+}
+
+module.exports = { createSettings, DEFAULT_SETTINGS };
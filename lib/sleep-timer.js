@@ -0,0 +1,179 @@
+// Sleep Timer
+// Pauses playback after a number of minutes, at the end of the current
+// track or after N tracks. The volume fades out over the last seconds and
+// is restored once playback is paused, so the next play starts at the
+// user's volume. Playback is driven through the player controller.
+//
+// Modes: { type: 'minutes', minutes } | { type: 'tracks', count } (1 = end of current track)
+
+const EventEmitter = require('events');
+
+const FADE_SECONDS = 30;
+const TICK_MS = 1000;
+// With repeat one the video id never changes; a jump from the last seconds
+// back to the start marks the end of the track instead
+const WRAP_END_MARGIN = 10;   // seconds
+const WRAP_START = 5;         // seconds
+
+function createSleepTimer({ getState, runCommand }) {
+  const emitter = new EventEmitter();
+
+  let mode = null;
+  let endsAt = 0;              // 'minutes' mode, ms timestamp
+  let tracksLeft = 0;          // 'tracks' mode, including the current one
+  let trackId = '';            // '' until the page reports a video id
+  let lastPosition = 0;
+  let fadeFrom = null;         // volume when the fade started
+  let tickTimer = null;
+
+  // Seconds until playback stops, or null when it isn't known yet
+  function getRemaining() {
+    if (!mode) return null;
+    if (mode.type === 'minutes') return Math.max(0, (endsAt - Date.now()) / 1000);
+
+    if (tracksLeft > 1) return null;
+    const { duration, position } = getState();
+    return duration > 0 ? Math.max(0, duration - position) : null;
+  }
+
+  function getStatus() {
+    if (!mode) return { active: false };
+    const remaining = getRemaining();
+    return {
+      active: true,
+      mode: { ...mode },
+      tracksLeft: mode.type === 'tracks' ? tracksLeft : undefined,
+      remaining: remaining === null ? null : Math.round(remaining),
+      fading: fadeFrom !== null
+    };
+  }
+
+  function restoreVolume() {
+    if (fadeFrom === null) return;
+    runCommand('volume', fadeFrom);
+    fadeFrom = null;
+  }
+
+  function clear() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    mode = null;
+    tracksLeft = 0;
+    endsAt = 0;
+  }
+
+  function finish() {
+    clear();
+    runCommand('pause').then(() => {
+      restoreVolume();
+      emitter.emit('change', getStatus());
+    });
+  }
+
+  function fade(remaining) {
+    const state = getState();
+    if (fadeFrom === null) {
+      if (remaining > FADE_SECONDS || !state.isPlaying) return;
+      fadeFrom = state.volume;
+    }
+
+    const volume = Math.round(fadeFrom * Math.max(0, Math.min(1, remaining / FADE_SECONDS)));
+    runCommand('volume', volume);
+  }
+
+  function tick() {
+    if (!mode) return;
+
+    // Track changes are also picked up from trackChanged(); this catches
+    // any the page didn't report
+    const { videoId, position, duration } = getState();
+    if (mode.type === 'tracks') {
+      const wrapped = trackId && videoId === trackId && duration > 0 &&
+        lastPosition >= duration - WRAP_END_MARGIN && position < WRAP_START;
+      lastPosition = position;
+      if (wrapped) {
+        trackEnded();
+      } else if (videoId && videoId !== trackId) {
+        trackChanged(videoId);
+      }
+      if (!mode) return;
+    }
+
+    const remaining = getRemaining();
+    if (remaining !== null) {
+      if (mode.type === 'minutes' && remaining <= 0) {
+        finish();
+        return;
+      }
+      fade(remaining);
+    }
+
+    emitter.emit('tick', getStatus());
+  }
+
+  // Call with the new video id whenever the track changes
+  function trackChanged(videoId) {
+    if (!mode || mode.type !== 'tracks' || !videoId || videoId === trackId) return;
+
+    // Started before a track was loaded; this is the current one
+    if (!trackId) {
+      trackId = videoId;
+      return;
+    }
+
+    trackId = videoId;
+    trackEnded();
+  }
+
+  function trackEnded() {
+    tracksLeft--;
+
+    // The faded-out last track has ended; stop the one that just started
+    if (tracksLeft <= 0) {
+      finish();
+    } else {
+      emitter.emit('change', getStatus());
+    }
+  }
+
+  function start(next) {
+    const minutes = Number(next && next.minutes);
+    const count = Math.round(Number(next && next.count));
+
+    if (next && next.type === 'minutes' && minutes > 0) {
+      mode = { type: 'minutes', minutes };
+      endsAt = Date.now() + minutes * 60 * 1000;
+    } else if (next && next.type === 'tracks' && count > 0) {
+      mode = { type: 'tracks', count };
+      tracksLeft = count;
+      const state = getState();
+      trackId = state.videoId || '';
+      lastPosition = state.position;
+    } else {
+      return getStatus();
+    }
+
+    restoreVolume();
+    clearInterval(tickTimer);
+    tickTimer = setInterval(tick, TICK_MS);
+    emitter.emit('change', getStatus());
+    return getStatus();
+  }
+
+  function cancel() {
+    if (!mode) return;
+    clear();
+    restoreVolume();
+    emitter.emit('change', getStatus());
+  }
+
+  return {
+    start,
+    cancel,
+    trackChanged,
+    getStatus,
+    on: (event, listener) => emitter.on(event, listener)
+  };
+}
+
+module.exports = { createSleepTimer, FADE_SECONDS };
@@ -0,0 +1,328 @@
+// Transliterate
+// Offline romanization of lyrics lines:
+//   ja       - kana to romaji, kanji readings via the kuromoji dictionary
+//   ko       - Hangul to Revised Romanization
+//   cyrillic - Russian/Ukrainian/Belarusian/Serbian Cyrillic to Latin
+//   greek    - Greek to Latin (ELOT 743 style)
+// Latin text inside a line is kept as-is.
+
+const path = require('path');
+
+const SCRIPT_PATTERNS = {
+  kana: /[぀-ヿㇰ-ㇿ]/,
+  kanji: /[㐀-䶿一-鿿]/,
+  ko: /[가-힯ᄀ-ᇿ㄰-㆏]/,
+  cyrillic: /[Ѐ-ӿ]/,
+  greek: /[Ͱ-Ͽἀ-῿]/
+};
+
+// --- Japanese ---
+
+const KANA_ROWS = {
+  'あいうえお': ['a', 'i', 'u', 'e', 'o'],
+  'かきくけこ': ['ka', 'ki', 'ku', 'ke', 'ko'],
+  'さしすせそ': ['sa', 'shi', 'su', 'se', 'so'],
+  'たちつてと': ['ta', 'chi', 'tsu', 'te', 'to'],
+  'なにぬねの': ['na', 'ni', 'nu', 'ne', 'no'],
+  'はひふへほ': ['ha', 'hi', 'fu', 'he', 'ho'],
+  'まみむめも': ['ma', 'mi', 'mu', 'me', 'mo'],
+  'やゆよ': ['ya', 'yu', 'yo'],
+  'らりるれろ': ['ra', 'ri', 'ru', 're', 'ro'],
+  'わゐゑを': ['wa', 'wi', 'we', 'o'],
+  'がぎぐげご': ['ga', 'gi', 'gu', 'ge', 'go'],
+  'ざじずぜぞ': ['za', 'ji', 'zu', 'ze', 'zo'],
+  'だぢづでど': ['da', 'ji', 'zu', 'de', 'do'],
+  'ばびぶべぼ': ['ba', 'bi', 'bu', 'be', 'bo'],
+  'ぱぴぷぺぽ': ['pa', 'pi', 'pu', 'pe', 'po'],
+  'ぁぃぅぇぉ': ['a', 'i', 'u', 'e', 'o'],
+  'ゃゅょゎ': ['ya', 'yu', 'yo', 'wa'],
+  'んゔ': ['n', 'vu']
+};
+
+const KANA = {};
+for (const [row, romaji] of Object.entries(KANA_ROWS)) {
+  [...row].forEach((kana, i) => {
+    KANA[kana] = romaji[i];
+  });
+}
+
+const SMALL_Y = 'ゃゅょ';
+const SMALL_VOWELS = 'ぁぃぅぇぉ';
+
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// Hepburn-style romaji for kana; anything else passes through
+function kanaToRomaji(text) {
+  const chars = [...toHiragana(text)];
+  let out = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const next = chars[i + 1];
+
+    if (ch === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+
+    if (ch === 'ー') {
+      const vowel = out.match(/[aeiou]$/);
+      if (vowel) out += vowel[0];
+      continue;
+    }
+
+    let romaji = KANA[ch];
+    if (romaji === undefined) {
+      out += ch;
+      doubleNext = false;
+      continue;
+    }
+
+    // Combine with a following small kana: きゃ -> kya, しゃ -> sha, ふぁ -> fa
+    if (next && SMALL_Y.includes(next) && romaji.endsWith('i') && romaji.length > 1) {
+      const base = romaji.slice(0, -1);
+      romaji = /(sh|ch|j)$/.test(base) ? base + KANA[next].slice(1) : base + KANA[next];
+      i++;
+    } else if (next && SMALL_VOWELS.includes(next)) {
+      const base = romaji === 'u' ? 'w' : romaji === 'i' ? 'y' : romaji.replace(/[aeiou]$/, '');
+      romaji = base + KANA[next];
+      i++;
+    }
+
+    if (doubleNext) {
+      romaji = romaji.startsWith('ch') ? 't' + romaji : romaji[0] + romaji;
+      doubleNext = false;
+    }
+
+    // ん before a vowel or y is written n'
+    if (romaji === 'n' && next && /^[aeiouy]/.test(KANA[next] || '')) {
+      romaji = "n'";
+    }
+
+    out += romaji;
+  }
+
+  return out;
+}
+
+let tokenizerPromise = null;
+
+// kuromoji loads a ~20 MB dictionary, so it is only built on first use
+function getTokenizer() {
+  if (!tokenizerPromise) {
+    tokenizerPromise = new Promise((resolve) => {
+      let kuromoji;
+      try {
+        kuromoji = require('kuromoji');
+      } catch (e) {
+        console.warn('kuromoji is not installed; kanji will not be romanized');
+        resolve(null);
+        return;
+      }
+
+      const dicPath = path.join(path.dirname(require.resolve('kuromoji/package.json')), 'dict');
+      kuromoji.builder({ dicPath }).build((error, tokenizer) => {
+        if (error) {
+          console.warn('Could not load the Japanese dictionary:', error.message);
+          resolve(null);
+          return;
+        }
+        resolve(tokenizer);
+      });
+    });
+  }
+  return tokenizerPromise;
+}
+
+const PARTICLE_READINGS = { 'ハ': 'wa', 'ヘ': 'e', 'ヲ': 'o' };
+
+function japaneseToRomaji(text, tokenizer) {
+  if (!tokenizer) return kanaToRomaji(text);
+
+  const words = [];
+  for (const token of tokenizer.tokenize(text)) {
+    if (token.pos === '記号') {
+      const mark = token.surface_form.trim();
+      if (mark && words.length > 0) words[words.length - 1] += mark;
+      continue;
+    }
+
+    let romaji;
+    if (token.pos === '助詞' && PARTICLE_READINGS[token.reading]) {
+      romaji = PARTICLE_READINGS[token.reading];
+    } else {
+      const reading = token.reading && token.reading !== '*' ? token.reading : token.surface_form;
+      romaji = kanaToRomaji(reading);
+    }
+
+    // Auxiliaries and suffixes stay attached: 行き + たい -> ikitai
+    const attach = token.pos === '助動詞' || token.pos_detail_1 === '接尾' || token.pos_detail_1 === '非自立';
+    if (attach && words.length > 0) {
+      words[words.length - 1] += romaji;
+    } else {
+      words.push(romaji);
+    }
+  }
+  return words.join(' ');
+}
+
+// --- Korean (Revised Romanization) ---
+
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// [romanization at the end of a syllable, part carried into a following ㅇ syllable]
+const HANGUL_FINALS = [
+  ['', ''], ['k', 'g'], ['k', 'kk'], ['k', 's'], ['n', 'n'], ['n', 'j'], ['n', 'h'], ['t', 'd'],
+  ['l', 'r'], ['k', 'g'], ['m', 'm'], ['l', 'b'], ['l', 's'], ['l', 't'], ['p', 'p'], ['l', 'h'],
+  ['m', 'm'], ['p', 'b'], ['p', 's'], ['t', 's'], ['t', 'ss'], ['ng', 'ng'], ['t', 'j'], ['t', 'ch'],
+  ['k', 'k'], ['t', 't'], ['p', 'p'], ['t', '']
+];
+// Compound finals keep their first consonant when the second moves on
+const HANGUL_FINAL_KEEP = { 3: 'k', 5: 'n', 6: 'n', 9: 'l', 10: 'l', 11: 'l', 12: 'l', 13: 'l', 14: 'l', 15: 'l', 18: 'p' };
+
+function decomposeHangul(ch) {
+  const code = ch.charCodeAt(0) - 0xac00;
+  if (code < 0 || code > 11171) return null;
+  return {
+    initial: Math.floor(code / 588),
+    medial: Math.floor((code % 588) / 28),
+    final: code % 28
+  };
+}
+
+function hangulToRomaji(text) {
+  const chars = [...text];
+  let out = '';
+  let carry = null;
+
+  for (let i = 0; i < chars.length; i++) {
+    const syllable = decomposeHangul(chars[i]);
+    if (!syllable) {
+      out += chars[i];
+      carry = null;
+      continue;
+    }
+
+    const next = chars[i + 1] && decomposeHangul(chars[i + 1]);
+    let initial = HANGUL_INITIALS[syllable.initial];
+
+    // A final consonant carried over from the previous syllable replaces silent ㅇ
+    if (syllable.initial === 11 && carry !== null) {
+      initial = carry;
+    }
+    // ㄹ after an "l" final is "l": 빨리 -> ppalli
+    if (syllable.initial === 5 && out.endsWith('l')) {
+      initial = 'l';
+    }
+
+    let final = HANGUL_FINALS[syllable.final][0];
+    carry = null;
+    if (syllable.final !== 0 && syllable.final !== 21 && next && next.initial === 11) {
+      carry = HANGUL_FINALS[syllable.final][1];
+      final = HANGUL_FINAL_KEEP[syllable.final] || '';
+    } else if (syllable.final === 4 && next && next.initial === 5) {
+      // ㄴ before ㄹ assimilates: 신라 -> silla
+      final = 'l';
+    }
+
+    out += initial + HANGUL_MEDIALS[syllable.medial] + final;
+  }
+
+  return out;
+}
+
+// --- Cyrillic ---
+
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+  'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+  'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+  'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+  // Ukrainian and Belarusian
+  'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ў': 'w',
+  // Serbian and Macedonian
+  'ђ': 'đ', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'ć', 'џ': 'dž', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz'
+};
+
+// --- Greek ---
+
+const GREEK = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+  'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+  'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// μπ and ντ are b and d at the start of a word
+const GREEK_DIGRAPHS = [
+  [/ου/giu, 'ou'], [/αυ/giu, 'av'], [/ευ/giu, 'ev'], [/γγ/giu, 'ng'], [/γκ/giu, 'gk'],
+  [/(?<!\p{L})μπ/giu, 'b'], [/μπ/giu, 'mp'], [/(?<!\p{L})ντ/giu, 'd'], [/ντ/giu, 'nt']
+];
+
+function isUpper(ch) {
+  return !!ch && ch !== ch.toLowerCase();
+}
+
+// Case for a multi-letter replacement: all caps when the source is, or when a
+// capital sits in an all-caps word ("ΘΕΟΣ" -> "THEOS"), else capitalized
+function matchCase(replacement, source, before, after) {
+  if (!replacement || !isUpper(source[0])) return replacement;
+  const allCaps = source.length > 1 ? isUpper(source[source.length - 1]) : isUpper(before) || isUpper(after);
+  return allCaps ? replacement.toUpperCase() : replacement[0].toUpperCase() + replacement.slice(1);
+}
+
+// Map characters through a table, keeping capitalization
+function mapLetters(text, table) {
+  const chars = [...text];
+  return chars.map((ch, i) => {
+    const mapped = table[ch.toLowerCase()];
+    if (mapped === undefined) return ch;
+    return matchCase(mapped, ch, chars[i - 1], chars[i + 1]);
+  }).join('');
+}
+
+function greekToLatin(text) {
+  // Drop tonos and dialytika before mapping
+  let result = text.normalize('NFD').replace(/[̀-ͯ]/g, '');
+  for (const [pattern, replacement] of GREEK_DIGRAPHS) {
+    result = result.replace(pattern, (match) => matchCase(replacement, match));
+  }
+  return mapLetters(result, GREEK);
+}
+
+// --- Public API ---
+
+function detectScript(text, japanese) {
+  if (SCRIPT_PATTERNS.kana.test(text)) return 'ja';
+  if (SCRIPT_PATTERNS.ko.test(text)) return 'ko';
+  if (SCRIPT_PATTERNS.cyrillic.test(text)) return 'cyrillic';
+  if (SCRIPT_PATTERNS.greek.test(text)) return 'greek';
+  // Kanji-only lines are Japanese only when the song also uses kana
+  if (japanese && SCRIPT_PATTERNS.kanji.test(text)) return 'ja';
+  return null;
+}
+
+// Returns one entry per line: { script, text } or null for lines that need none
+async function transliterateLines(lines) {
+  const japanese = lines.some((line) => SCRIPT_PATTERNS.kana.test(line));
+  const tokenizer = japanese && lines.some((line) => SCRIPT_PATTERNS.kanji.test(line))
+    ? await getTokenizer()
+    : null;
+
+  return lines.map((line) => {
+    const script = detectScript(line, japanese);
+    if (!script) return null;
+
+    let text;
+    if (script === 'ja') text = japaneseToRomaji(line, tokenizer);
+    else if (script === 'ko') text = hangulToRomaji(line);
+    else if (script === 'cyrillic') text = mapLetters(line, CYRILLIC);
+    else text = greekToLatin(line);
+
+    return text && text !== line ? { script, text } : null;
+  });
+}
+
+module.exports = { transliterateLines, kanaToRomaji, hangulToRomaji };
@@ -0,0 +1,232 @@
+// Visualizer Presets
+// Tuning for the living background: frequency bands, smoothing, particle
+// limit and which layers are drawn. Built-in presets live here; user presets
+// are one JSON file each in <userData>/visualizer-presets so they can also be
+// edited by hand. Presets only list what they change; the page keeps its own
+// defaults for everything else.
+//
+// Preset shape: {
+//   name, smoothing (0-0.99), maxParticles,
+//   layers: { aurora, orbs, particles, flash, bars, waveform },
+//   bands: { SUB_BASS: { min, max, color: { r, g, b } }, ... }
+// }
+
+const fs = require('fs');
+const path = require('path');
+
+// Band ranges (Hz) the page uses when a preset doesn't set them; keep in
+// sync with CONFIG.FREQ_BANDS in scripts/living-background.js
+const DEFAULT_BAND_RANGES = {
+  SUB_BASS: { min: 20, max: 60 },
+  BASS: { min: 60, max: 250 },
+  LOW_MIDS: { min: 250, max: 500 },
+  MIDS: { min: 500, max: 2000 },
+  HIGH_MIDS: { min: 2000, max: 4000 },
+  TREBLE: { min: 4000, max: 20000 }
+};
+const BAND_KEYS = Object.keys(DEFAULT_BAND_RANGES);
+const LAYER_KEYS = ['aurora', 'orbs', 'particles', 'flash', 'bars', 'waveform'];
+const MAX_PARTICLES = 300;
+
+const BUILTIN_PRESETS = {
+  default: {
+    name: 'Default'
+  },
+  calm: {
+    name: 'Calm',
+    smoothing: 0.9,
+    maxParticles: 40,
+    layers: { flash: false, bars: false },
+    bands: {
+      SUB_BASS: { color: { r: 40, g: 60, b: 120 } },
+      BASS: { color: { r: 50, g: 90, b: 150 } },
+      LOW_MIDS: { color: { r: 70, g: 130, b: 150 } },
+      MIDS: { color: { r: 100, g: 150, b: 140 } }
+    }
+  },
+  club: {
+    name: 'Club',
+    smoothing: 0.55,
+    maxParticles: 180,
+    bands: {
+      SUB_BASS: { min: 30, max: 80, color: { r: 200, g: 30, b: 120 } },
+      BASS: { min: 80, max: 200, color: { r: 120, g: 40, b: 220 } },
+      LOW_MIDS: { color: { r: 40, g: 160, b: 230 } },
+      TREBLE: { min: 6000, max: 16000, color: { r: 255, g: 220, b: 120 } }
+    }
+  },
+  minimal: {
+    name: 'Minimal',
+    smoothing: 0.85,
+    maxParticles: 0,
+    layers: { orbs: false, particles: false, flash: false, bars: false, waveform: true }
+  },
+  spectrum: {
+    name: 'Spectrum',
+    smoothing: 0.65,
+    maxParticles: 60,
+    layers: { orbs: false, flash: false },
+    bands: {
+      SUB_BASS: { color: { r: 230, g: 50, b: 50 } },
+      BASS: { color: { r: 240, g: 140, b: 40 } },
+      LOW_MIDS: { color: { r: 230, g: 220, b: 60 } },
+      MIDS: { color: { r: 60, g: 200, b: 90 } },
+      HIGH_MIDS: { color: { r: 50, g: 130, b: 230 } },
+      TREBLE: { color: { r: 150, g: 70, b: 220 } }
+    }
+  }
+};
+
+function clampNumber(value, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return undefined;
+  return Math.min(max, Math.max(min, number));
+}
+
+function cleanColor(color) {
+  if (!color || typeof color !== 'object') return undefined;
+  const channels = ['r', 'g', 'b'].map((channel) => clampNumber(color[channel], 0, 255));
+  if (channels.some((channel) => channel === undefined)) return undefined;
+  const [r, g, b] = channels.map(Math.round);
+  return { r, g, b };
+}
+
+// Keep only known fields with sane values; throws on input that isn't a preset
+function sanitizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Preset must be a JSON object');
+  }
+
+  const name = String(raw.name || '').trim().slice(0, 60);
+  if (!name) throw new Error('Preset needs a name');
+
+  const preset = { name };
+
+  const smoothing = clampNumber(raw.smoothing, 0, 0.99);
+  if (smoothing !== undefined) preset.smoothing = smoothing;
+
+  const maxParticles = clampNumber(raw.maxParticles, 0, MAX_PARTICLES);
+  if (maxParticles !== undefined) preset.maxParticles = Math.round(maxParticles);
+
+  if (raw.layers && typeof raw.layers === 'object') {
+    const layers = {};
+    for (const key of LAYER_KEYS) {
+      if (typeof raw.layers[key] === 'boolean') layers[key] = raw.layers[key];
+    }
+    if (Object.keys(layers).length > 0) preset.layers = layers;
+  }
+
+  if (raw.bands && typeof raw.bands === 'object') {
+    const bands = {};
+    for (const key of BAND_KEYS) {
+      const band = raw.bands[key];
+      if (!band || typeof band !== 'object') continue;
+
+      const clean = {};
+      const min = clampNumber(band.min, 1, 24000);
+      const max = clampNumber(band.max, 1, 24000);
+      if (min !== undefined) clean.min = min;
+      if (max !== undefined) clean.max = max;
+      // A band that sets only one end is merged with the default range
+      const range = { ...DEFAULT_BAND_RANGES[key], ...clean };
+      if (range.min >= range.max) {
+        throw new Error(`Band ${key} has min >= max`);
+      }
+
+      const color = cleanColor(band.color);
+      if (color) clean.color = color;
+
+      if (Object.keys(clean).length > 0) bands[key] = clean;
+    }
+    if (Object.keys(bands).length > 0) preset.bands = bands;
+  }
+
+  return preset;
+}
+
+// "My Preset!" -> "my-preset"
+function slugify(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'preset';
+}
+
+function createVisualizerPresets(userDataPath) {
+  const folder = path.join(userDataPath, 'visualizer-presets');
+
+  function userFile(id) {
+    return path.join(folder, `${id}.json`);
+  }
+
+  // User presets are read from disk each time so hand edits show up
+  function loadUserPresets() {
+    let files;
+    try {
+      files = fs.readdirSync(folder).filter((file) => file.endsWith('.json'));
+    } catch (e) {
+      return {};
+    }
+
+    const presets = {};
+    for (const file of files) {
+      const id = `user:${path.basename(file, '.json')}`;
+      try {
+        presets[id] = sanitizePreset(JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8')));
+      } catch (e) {
+        console.error(`Skipping visualizer preset ${file}:`, e.message);
+      }
+    }
+    return presets;
+  }
+
+  // [{ id, name, builtIn }] with built-ins first
+  function list() {
+    const builtIn = Object.entries(BUILTIN_PRESETS).map(([id, preset]) => ({ id, name: preset.name, builtIn: true }));
+    const user = Object.entries(loadUserPresets())
+      .map(([id, preset]) => ({ id, name: preset.name, builtIn: false }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [...builtIn, ...user];
+  }
+
+  function get(id) {
+    if (Object.hasOwn(BUILTIN_PRESETS, id)) return BUILTIN_PRESETS[id];
+    const user = loadUserPresets();
+    return Object.hasOwn(user, id) ? user[id] : null;
+  }
+
+  // Store a user preset; a preset with the same name is replaced. Returns its id.
+  function save(raw) {
+    const preset = sanitizePreset(raw);
+    const id = slugify(preset.name);
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(userFile(id), JSON.stringify(preset, null, 2));
+    return `user:${id}`;
+  }
+
+  function remove(id) {
+    if (!String(id).startsWith('user:')) return false;
+    try {
+      fs.unlinkSync(userFile(path.basename(id.slice('user:'.length))));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function importFile(filePath) {
+    return save(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  function exportFile(id, filePath) {
+    const preset = get(id);
+    if (!preset) throw new Error('Unknown preset');
+    fs.writeFileSync(filePath, JSON.stringify(preset, null, 2));
+  }
+
+  return { list, get, save, remove, importFile, exportFile, folder };
+}
+
+module.exports = { createVisualizerPresets, sanitizePreset, BUILTIN_PRESETS };
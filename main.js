@@ -1,15 +1,149 @@
-const { app, BrowserWindow, globalShortcut, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, clipboard, dialog, globalShortcut, ipcMain, net, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { createPlayerController } = require('./lib/player-controller');
+const { createPlayerState } = require('./lib/player-state');
+const { createSettings } = require('./lib/settings');
+const { createRemoteServer, generateToken } = require('./lib/remote-server');
+const { createMprisService } = require('./lib/mpris');
+const { createJsonStore } = require('./lib/json-store');
+const { createScrobbler } = require('./lib/scrobbler');
+const { createDiscordPresence } = require('./lib/discord-presence');
+const { findLocalLyrics } = require('./lib/local-lyrics');
+const { createLyricsCache } = require('./lib/lyrics-cache');
+const { transliterateLines } = require('./lib/transliterate');
+const { EXPORT_FORMATS, formatLRC } = require('./lib/lyrics-export');
+const { createVisualizerPresets } = require('./lib/visualizer-presets');
+const { createEqualizerPresets, sanitizeGains, clampGain } = require('./lib/equalizer-presets');
+const { createSleepTimer } = require('./lib/sleep-timer');
+const { createListeningHistory } = require('./lib/listening-history');
 
 let mainWindow;
 let miniPlayerWindow = null;
-let currentTrackInfo = {
-  title: 'Not Playing',
-  artist: '-',
-  thumbnail: '',
-  isPlaying: false
-};
+let historyWindow = null;
+let remoteServer = null;
+let mprisService = null;
+// Last lyric line published by the lyrics enhancer, replayed to a new mini player
+let lyricLine = null;
+let lyricsStageActive = false;
+
+const settings = createSettings(app.getPath('userData'));
+
+const scrobbler = createScrobbler({
+  store: createJsonStore(path.join(app.getPath('userData'), 'scrobble-queue.json'), { queue: [] }),
+  getSettings: () => settings.get('scrobbling')
+});
+
+const discordPresence = createDiscordPresence({
+  getSettings: () => settings.get('discordPresence')
+});
+
+const lyricsCache = createLyricsCache(app.getPath('userData'));
+// Per-track lyrics timing corrections in ms, keyed by video id
+const lyricsOffsets = createJsonStore(path.join(app.getPath('userData'), 'lyrics-offsets.json'));
+// Lyrics the user picked by hand, keyed like the offsets
+const lyricsPins = createJsonStore(path.join(app.getPath('userData'), 'lyrics-pins.json'));
+const visualizerPresets = createVisualizerPresets(app.getPath('userData'));
+const equalizerPresets = createEqualizerPresets(app.getPath('userData'));
+// Measured loudness (LUFS) per video id, so leveling is immediate on replay
+const loudnessMemory = createJsonStore(path.join(app.getPath('userData'), 'loudness-memory.json'));
+// Tracks remembered; the ones measured longest ago are forgotten first
+const MAX_LOUDNESS_MEMORY = 5000;
+const listeningHistory = createListeningHistory(app.getPath('userData'));
+
+// Now-playing state, fed by the page and broadcast to every window
+const playerState = createPlayerState();
+
+function broadcast(channel, payload) {
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload);
+    }
+  }
+}
+
+playerState.on('change', (changes, state) => {
+  broadcast('player-state', changes);
+  if (changes.videoId) {
+    sleepTimer.trackChanged(changes.videoId);
+  }
+  if (remoteServer) {
+    remoteServer.broadcastChanges(changes);
+  }
+  if (mprisService) {
+    mprisService.update(changes, state);
+  }
+  scrobbler.handleStateChange(changes, state);
+  listeningHistory.handleStateChange(changes, state);
+  discordPresence.update(state);
+});
+
+// Refresh an open history window as plays are recorded
+listeningHistory.on('entry', (entry) => {
+  if (historyWindow) historyWindow.webContents.send('history-entry', entry);
+});
+
+// All playback control goes through the controller
+const playerController = createPlayerController(() => mainWindow && mainWindow.webContents);
+
+function runPlayerCommand(command, value) {
+  return playerController.run(command, value).then((result) => {
+    if (!result.ok) {
+      console.warn(`Player command "${command}" failed:`, result.error);
+    }
+    return result;
+  });
+}
+
+const sleepTimer = createSleepTimer({
+  getState: () => playerState.get(),
+  runCommand: runPlayerCommand
+});
+
+// Countdown every second; menus only change when the timer starts or stops
+sleepTimer.on('tick', (status) => broadcast('sleep-timer', status));
+sleepTimer.on('change', (status) => {
+  broadcast('sleep-timer', status);
+  buildAppMenu();
+});
+
+const SLEEP_TIMER_MINUTES = [15, 30, 45, 60, 90];
+const SLEEP_TIMER_TRACKS = [2, 3, 5];
+
+// Shared by the app menu and the popups in the main window and mini player
+function sleepTimerMenuItems() {
+  const { active, mode } = sleepTimer.getStatus();
+  const isMode = (type, key, value) => !!active && mode.type === type && mode[key] === value;
+
+  return [
+    {
+      label: 'Off',
+      type: 'radio',
+      checked: !active,
+      click: () => sleepTimer.cancel()
+    },
+    { type: 'separator' },
+    ...SLEEP_TIMER_MINUTES.map((minutes) => ({
+      label: `${minutes} Minutes`,
+      type: 'radio',
+      checked: isMode('minutes', 'minutes', minutes),
+      click: () => sleepTimer.start({ type: 'minutes', minutes })
+    })),
+    { type: 'separator' },
+    {
+      label: 'End of Current Track',
+      type: 'radio',
+      checked: isMode('tracks', 'count', 1),
+      click: () => sleepTimer.start({ type: 'tracks', count: 1 })
+    },
+    ...SLEEP_TIMER_TRACKS.map((count) => ({
+      label: `End of ${count} Tracks`,
+      type: 'radio',
+      checked: isMode('tracks', 'count', count),
+      click: () => sleepTimer.start({ type: 'tracks', count })
+    }))
+  ];
+}
 
 // Read custom CSS
 function getCustomCSS() {
@@ -22,25 +156,37 @@ function getCustomCSS() {
   }
 }
 
-// Read lyrics enhancer script
-function getLyricsEnhancerJS() {
-  const jsPath = path.join(__dirname, 'scripts', 'lyrics-enhancer.js');
+// Scripts injected into the YouTube Music page, in order
+const PAGE_SCRIPTS = [
+  'audio-engine.js',
+  'lyrics-enhancer.js',
+  'living-background.js',
+  'lyrics-stage.js'
+];
+
+// Read a page script from the scripts folder
+function getPageScript(name) {
+  const jsPath = path.join(__dirname, 'scripts', name);
   try {
     return fs.readFileSync(jsPath, 'utf8');
   } catch (e) {
-    console.error('Could not load lyrics enhancer:', e);
+    console.error(`Could not load ${name}:`, e);
     return '';
   }
 }
 
-// Read living background script
-function getLivingBackgroundJS() {
-  const jsPath = path.join(__dirname, 'scripts', 'living-background.js');
-  try {
-    return fs.readFileSync(jsPath, 'utf8');
-  } catch (e) {
-    console.error('Could not load living background:', e);
-    return '';
+// Inject custom CSS and every page script
+function injectPageAssets() {
+  const customCSS = getCustomCSS();
+  if (customCSS) {
+    mainWindow.webContents.insertCSS(customCSS);
+  }
+
+  for (const name of PAGE_SCRIPTS) {
+    const js = getPageScript(name);
+    if (js) {
+      mainWindow.webContents.executeJavaScript(js);
+    }
   }
 }
 
@@ -68,48 +214,20 @@ function createWindow() {
   mainWindow.loadURL('https://music.youtube.com');
 
   // Inject custom CSS and JS when page loads
-  mainWindow.webContents.on('did-finish-load', () => {
-    const customCSS = getCustomCSS();
-    if (customCSS) {
-      mainWindow.webContents.insertCSS(customCSS);
-    }
-
-    // Inject lyrics enhancer
-    const lyricsJS = getLyricsEnhancerJS();
-    if (lyricsJS) {
-      mainWindow.webContents.executeJavaScript(lyricsJS);
-    }
-
-    // Inject living background
-    const livingBgJS = getLivingBackgroundJS();
-    if (livingBgJS) {
-      mainWindow.webContents.executeJavaScript(livingBgJS);
-    }
-  });
+  mainWindow.webContents.on('did-finish-load', injectPageAssets);
 
   // Re-inject CSS and JS on navigation
-  mainWindow.webContents.on('did-navigate-in-page', () => {
-    const customCSS = getCustomCSS();
-    if (customCSS) {
-      mainWindow.webContents.insertCSS(customCSS);
-    }
-
-    // Re-inject lyrics enhancer
-    const lyricsJS = getLyricsEnhancerJS();
-    if (lyricsJS) {
-      mainWindow.webContents.executeJavaScript(lyricsJS);
-    }
+  mainWindow.webContents.on('did-navigate-in-page', injectPageAssets);
 
-    // Re-inject living background
-    const livingBgJS = getLivingBackgroundJS();
-    if (livingBgJS) {
-      mainWindow.webContents.executeJavaScript(livingBgJS);
-    }
+  // Leaving fullscreen from the OS also closes the lyrics stage
+  mainWindow.on('leave-full-screen', () => {
+    if (lyricsStageActive) setLyricsStage(false);
   });
 
   // Handle window closed
   mainWindow.on('closed', () => {
     mainWindow = null;
+    lyricsStageActive = false;
   });
 
   // Open DevTools in development
@@ -118,6 +236,40 @@ function createWindow() {
   }
 }
 
+// Mini player heights for each lyrics layout
+const MINI_PLAYER_HEIGHTS = {
+  off: 120,
+  line: 158,
+  expanded: 262
+};
+
+function getMiniPlayerLyricsMode() {
+  const mode = settings.get('miniPlayer').lyricsMode;
+  return MINI_PLAYER_HEIGHTS[mode] ? mode : 'line';
+}
+
+// Resize the mini player for a lyrics layout and tell the page to switch
+function applyMiniPlayerLayout() {
+  if (!miniPlayerWindow) return;
+
+  const mode = getMiniPlayerLyricsMode();
+  const height = MINI_PLAYER_HEIGHTS[mode];
+  miniPlayerWindow.setMinimumSize(300, height);
+  miniPlayerWindow.setMaximumSize(300, height);
+  miniPlayerWindow.setSize(300, height, true);
+  miniPlayerWindow.webContents.send('mini-player-layout', mode);
+}
+
+// Open or close the fullscreen lyrics stage in the page
+function setLyricsStage(active) {
+  if (!mainWindow) return;
+  lyricsStageActive = active;
+  if (mainWindow.isFullScreen() !== active) {
+    mainWindow.setFullScreen(active);
+  }
+  mainWindow.webContents.send('lyrics-stage', active);
+}
+
 // Create Mini Player Window
 function createMiniPlayer() {
   if (miniPlayerWindow) {
@@ -125,13 +277,14 @@ function createMiniPlayer() {
     return;
   }
 
+  const height = MINI_PLAYER_HEIGHTS[getMiniPlayerLyricsMode()];
   miniPlayerWindow = new BrowserWindow({
     width: 300,
-    height: 120,
+    height,
     minWidth: 300,
-    minHeight: 120,
+    minHeight: height,
     maxWidth: 300,
-    maxHeight: 120,
+    maxHeight: height,
     frame: false,
     transparent: true,
     alwaysOnTop: true,
@@ -152,12 +305,39 @@ function createMiniPlayer() {
     miniPlayerWindow = null;
   });
 
-  // Send current track info when mini player is ready
+  // Send the full state when mini player is ready
   miniPlayerWindow.webContents.on('did-finish-load', () => {
     if (miniPlayerWindow) {
-      miniPlayerWindow.webContents.send('player-update', currentTrackInfo);
+      miniPlayerWindow.webContents.send('player-state', playerState.get());
+    }
+  });
+}
+
+// Listening history window
+function createHistoryWindow() {
+  if (historyWindow) {
+    historyWindow.focus();
+    return;
+  }
+
+  historyWindow = new BrowserWindow({
+    width: 560,
+    height: 640,
+    minWidth: 420,
+    minHeight: 360,
+    title: 'Listening History',
+    backgroundColor: '#121212',
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
     }
   });
+
+  historyWindow.loadFile('history.html');
+
+  historyWindow.on('closed', () => {
+    historyWindow = null;
+  });
 }
 
 // Setup Mini Player IPC handlers
@@ -174,7 +354,10 @@ function setupMiniPlayerIPC() {
   // Handle mini player ready
   ipcMain.on('mini-player-ready', () => {
     if (miniPlayerWindow) {
-      miniPlayerWindow.webContents.send('player-update', currentTrackInfo);
+      miniPlayerWindow.webContents.send('player-state', playerState.get());
+      miniPlayerWindow.webContents.send('mini-player-layout', getMiniPlayerLyricsMode());
+      if (lyricLine) miniPlayerWindow.webContents.send('lyrics-line', lyricLine);
+      miniPlayerWindow.webContents.send('sleep-timer', sleepTimer.getStatus());
     }
   });
 
@@ -190,123 +373,622 @@ function setupMiniPlayerIPC() {
 
     // Handle seek action (object with action and percent)
     if (typeof action === 'object' && action.action === 'seek') {
-      if (mainWindow) {
-        const percent = action.percent;
-        mainWindow.webContents.executeJavaScript(`
-          (function() {
-            const progressBar = document.querySelector('#progress-bar');
-            if (progressBar) {
-              const rect = progressBar.getBoundingClientRect();
-              const x = rect.left + (rect.width * ${percent} / 100);
-              const y = rect.top + rect.height / 2;
-              
-              const mousedown = new MouseEvent('mousedown', { bubbles: true, clientX: x, clientY: y });
-              const mouseup = new MouseEvent('mouseup', { bubbles: true, clientX: x, clientY: y });
-              const click = new MouseEvent('click', { bubbles: true, clientX: x, clientY: y });
-              
-              progressBar.dispatchEvent(mousedown);
-              progressBar.dispatchEvent(mouseup);
-              progressBar.dispatchEvent(click);
-            }
-          })();
-        `);
+      runPlayerCommand('seek-percent', action.percent);
+      return;
+    }
+
+    // Switch between no lyrics, a single line and the expanded lyrics view
+    if (typeof action === 'object' && action.action === 'lyrics-mode') {
+      if (MINI_PLAYER_HEIGHTS[action.mode]) {
+        settings.set('miniPlayer', { lyricsMode: action.mode });
+        applyMiniPlayerLayout();
       }
       return;
     }
 
-    if (!mainWindow) return;
-
-    switch (action) {
-      case 'play-pause':
-        mainWindow.webContents.executeJavaScript(`
-          document.querySelector('.play-pause-button')?.click();
-        `);
-        break;
-      case 'next':
-        mainWindow.webContents.executeJavaScript(`
-          document.querySelector('.next-button')?.click();
-        `);
-        break;
-      case 'previous':
-        mainWindow.webContents.executeJavaScript(`
-          document.querySelector('.previous-button')?.click();
-        `);
-        break;
-      case 'like':
-        mainWindow.webContents.executeJavaScript(`
-          (function() {
-            const playerBar = document.querySelector('ytmusic-player-bar');
-            if (playerBar) {
-              const likeRenderer = playerBar.querySelector('ytmusic-like-button-renderer');
-              if (likeRenderer) {
-                const likeBtn = likeRenderer.querySelector('.like button, #button-shape-like button, tp-yt-paper-icon-button.like');
-                if (likeBtn) likeBtn.click();
-              }
-            }
-          })();
-        `);
-        break;
-      case 'dislike':
-        mainWindow.webContents.executeJavaScript(`
-          (function() {
-            const playerBar = document.querySelector('ytmusic-player-bar');
-            if (playerBar) {
-              const likeRenderer = playerBar.querySelector('ytmusic-like-button-renderer');
-              if (likeRenderer) {
-                const dislikeBtn = likeRenderer.querySelector('.dislike button, #button-shape-dislike button, tp-yt-paper-icon-button.dislike');
-                if (dislikeBtn) dislikeBtn.click();
-              }
-            }
-          })();
-        `);
-        break;
+    runPlayerCommand(action);
+  });
+
+  // Playback controls from page scripts: a command name or { command, value }
+  ipcMain.on('media-control', (event, control) => {
+    if (typeof control === 'string') {
+      runPlayerCommand(control);
+    } else if (control && control.command) {
+      runPlayerCommand(control.command, control.value);
     }
   });
 
-  // Handle track info updates from main window
+  ipcMain.on('lyrics-stage-set', (event, active) => {
+    setLyricsStage(!!active);
+  });
+
+  // Sleep timer choices as a native popup next to the clicked button; "Off" cancels
+  ipcMain.on('sleep-timer-menu', (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    Menu.buildFromTemplate(sleepTimerMenuItems()).popup({ window });
+  });
+
+  // Handle state snapshots from main window (diffed and broadcast by playerState)
   ipcMain.on('track-info-update', (event, info) => {
-    currentTrackInfo = { ...currentTrackInfo, ...info };
+    playerState.update(info);
+  });
+
+  // Full state for page scripts that follow the 'player-state' changes
+  ipcMain.handle('player-state-get', () => playerState.get());
+
+  // Forward the active lyric line to the mini player
+  ipcMain.on('lyrics-line-update', (event, line) => {
+    lyricLine = line;
     if (miniPlayerWindow) {
-      miniPlayerWindow.webContents.send('player-update', currentTrackInfo);
+      miniPlayerWindow.webContents.send('lyrics-line', line);
     }
   });
 }
 
-// Register media key handlers
-function registerMediaKeys() {
-  // Play/Pause
-  globalShortcut.register('MediaPlayPause', () => {
-    if (mainWindow) {
-      mainWindow.webContents.executeJavaScript(`
-        document.querySelector('.play-pause-button')?.click();
-      `);
+// Setup listening history IPC handlers used by the history window
+function setupHistoryIPC() {
+  ipcMain.handle('history-search', (event, options) => listeningHistory.search(options));
+
+  // Play again: open the track in the main window
+  ipcMain.on('history-play', (event, videoId) => {
+    if (!/^[\w-]{11}$/.test(String(videoId))) return;
+    if (!mainWindow) createWindow();
+    mainWindow.loadURL(`https://music.youtube.com/watch?v=${videoId}`);
+    mainWindow.show();
+    mainWindow.focus();
+  });
+}
+
+// Folder holding the user's own .lrc files
+function getLyricsFolder() {
+  return settings.get('lyrics').localFolder || path.join(app.getPath('userData'), 'lyrics');
+}
+
+// "Artist - Title" with characters that are invalid in file names removed
+function lyricsFileName(artist, title) {
+  return `${artist ? `${artist} - ` : ''}${title || 'Lyrics'}`
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .trim();
+}
+
+// Setup lyrics IPC handlers used by the lyrics enhancer
+function setupLyricsIPC() {
+  ipcMain.handle('lyrics-config', () => {
+    const { providers, transliteration } = settings.get('lyrics');
+    return { providers, transliteration };
+  });
+
+  ipcMain.handle('lyrics-local-lookup', (event, song) => {
+    if (!song || !song.title) return null;
+    return findLocalLyrics(getLyricsFolder(), song.artist, song.title);
+  });
+
+  ipcMain.handle('lyrics-cache-get', (event, song) => {
+    if (!song || !song.title) return null;
+    return lyricsCache.get(song);
+  });
+
+  ipcMain.handle('lyrics-cache-set', (event, { song, lyrics }) => {
+    if (!song || !song.title) return;
+    lyricsCache.set(song, lyrics);
+  });
+
+  ipcMain.handle('lyrics-offset-get', (event, key) => {
+    return lyricsOffsets.get(key) || 0;
+  });
+
+  ipcMain.handle('lyrics-offset-set', (event, { key, offset }) => {
+    if (!key) return;
+    lyricsOffsets.set(key, offset ? Math.round(offset) : undefined);
+  });
+
+  // Save lyrics authored in the tap-to-sync editor as a local .lrc
+  ipcMain.handle('lyrics-local-save', async (event, { song, lines, offset } = {}) => {
+    if (!song || !song.title || !Array.isArray(lines) || lines.length === 0) {
+      return { ok: false, error: 'Nothing to save' };
+    }
+
+    const state = playerState.get();
+    const meta = {
+      artist: song.artist,
+      title: song.title,
+      album: state.title === song.title ? state.album : '',
+      duration: song.duration
+    };
+    const folder = getLyricsFolder();
+    const file = path.join(folder, `${lyricsFileName(song.artist, song.title)}.lrc`);
+
+    try {
+      await fs.promises.mkdir(folder, { recursive: true });
+      await fs.promises.writeFile(file, formatLRC({ lines, offset, meta }), 'utf8');
+    } catch (e) {
+      console.error('Could not save lyrics:', e.message);
+      return { ok: false, error: e.message };
+    }
+
+    // Drop any cached provider result so the new file is picked up
+    lyricsCache.remove(song);
+    return { ok: true, file };
+  });
+
+  ipcMain.handle('lyrics-pin-get', (event, key) => {
+    return lyricsPins.get(key) || null;
+  });
+
+  ipcMain.handle('lyrics-pin-set', (event, { key, lyrics }) => {
+    if (!key) return;
+    lyricsPins.set(key, lyrics || undefined);
+  });
+
+  ipcMain.handle('lyrics-transliterate', (event, lines) => {
+    if (!Array.isArray(lines)) return [];
+    return transliterateLines(lines.map((line) => String(line || '')));
+  });
+
+  // Per-script toggles, e.g. { ja: false }
+  ipcMain.handle('lyrics-transliteration-set', (event, patch) => {
+    return settings.set('lyrics', { transliteration: patch || {} }).transliteration;
+  });
+
+  // Save the current lyrics through a native dialog; returns { ok, file } or { ok: false, error }
+  ipcMain.handle('lyrics-export', async (event, { format, lines, offset, meta = {} } = {}) => {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter || !Array.isArray(lines) || lines.length === 0) {
+      return { ok: false, error: 'Nothing to export' };
+    }
+
+    // The page doesn't see the album; fill it in from the player state
+    const state = playerState.get();
+    const tags = { ...meta };
+    if (!tags.album && state.title === tags.title) tags.album = state.album;
+
+    const baseName = lyricsFileName(tags.artist, tags.title);
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Lyrics',
+      defaultPath: path.join(app.getPath('documents'), `${baseName}.${exporter.extension}`),
+      filters: [{ name: exporter.name, extensions: [exporter.extension] }]
+    });
+    if (canceled || !filePath) return { ok: false, error: 'Canceled' };
+
+    try {
+      await fs.promises.writeFile(filePath, exporter.format({ lines, offset, meta: tags }), 'utf8');
+      return { ok: true, file: filePath };
+    } catch (e) {
+      console.error('Could not export lyrics:', e.message);
+      return { ok: false, error: e.message };
+    }
+  });
+}
+
+// The selected preset, falling back to the default when its file is gone
+function getActiveVisualizerPreset() {
+  const id = settings.get('visualizer').preset;
+  const preset = visualizerPresets.get(id);
+  return preset ? { id, preset } : { id: 'default', preset: visualizerPresets.get('default') };
+}
+
+// Setup visualizer preset IPC handlers used by the living background
+function setupVisualizerIPC() {
+  ipcMain.handle('visualizer-presets', () => {
+    return { presets: visualizerPresets.list(), ...getActiveVisualizerPreset() };
+  });
+
+  ipcMain.handle('visualizer-preset-select', (event, id) => {
+    if (visualizerPresets.get(id)) {
+      settings.set('visualizer', { preset: id });
+    }
+    return getActiveVisualizerPreset();
+  });
+
+  ipcMain.handle('visualizer-preset-delete', (event, id) => {
+    visualizerPresets.remove(id);
+    return { presets: visualizerPresets.list(), ...getActiveVisualizerPreset() };
+  });
+
+  // Copy a preset file into the presets folder and select it
+  ipcMain.handle('visualizer-preset-import', async (event) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Import Visualizer Preset',
+      filters: [{ name: 'Visualizer Preset', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) return { ok: false, error: 'Canceled' };
+
+    try {
+      const id = visualizerPresets.importFile(filePaths[0]);
+      settings.set('visualizer', { preset: id });
+      return { ok: true, presets: visualizerPresets.list(), ...getActiveVisualizerPreset() };
+    } catch (e) {
+      console.error('Could not import visualizer preset:', e.message);
+      return { ok: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('visualizer-preset-export', async (event, id) => {
+    const preset = visualizerPresets.get(id);
+    if (!preset) return { ok: false, error: 'Unknown preset' };
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Visualizer Preset',
+      defaultPath: path.join(app.getPath('documents'), `${preset.name.replace(/[\\/:*?"<>|]+/g, ' ').trim()}.json`),
+      filters: [{ name: 'Visualizer Preset', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) return { ok: false, error: 'Canceled' };
+
+    try {
+      visualizerPresets.exportFile(id, filePath);
+      return { ok: true, file: filePath };
+    } catch (e) {
+      console.error('Could not export visualizer preset:', e.message);
+      return { ok: false, error: e.message };
+    }
+  });
+}
+
+function getEqualizerConfig() {
+  return { ...settings.get('equalizer'), presets: equalizerPresets.list() };
+}
+
+// Save leveling settings, push them to the page and refresh the menu checks
+function setLeveling(patch) {
+  const leveling = settings.set('leveling', patch);
+  if (mainWindow) mainWindow.webContents.send('leveling-update', leveling);
+  buildAppMenu();
+}
+
+// Setup equalizer and leveling IPC handlers used by the page's audio engine
+function setupEqualizerIPC() {
+  ipcMain.handle('equalizer-config', () => getEqualizerConfig());
+
+  // patch: { enabled?, preset?, preamp?, gains?, device? }; with a device
+  // label the resulting curve is also remembered for that output device
+  ipcMain.handle('equalizer-set', (event, patch = {}) => {
+    const update = {};
+    if (typeof patch.enabled === 'boolean') update.enabled = patch.enabled;
+    if (typeof patch.preset === 'string') update.preset = patch.preset;
+    if (patch.preamp !== undefined) update.preamp = clampGain(patch.preamp);
+    if (patch.gains !== undefined) update.gains = sanitizeGains(patch.gains);
+
+    const config = settings.set('equalizer', update);
+    if (patch.device) {
+      const { preset, preamp, gains } = config;
+      settings.set('equalizer', { devicePresets: { [patch.device]: { preset, preamp, gains } } });
     }
+    return getEqualizerConfig();
   });
 
-  // Next track
-  globalShortcut.register('MediaNextTrack', () => {
-    if (mainWindow) {
-      mainWindow.webContents.executeJavaScript(`
-        document.querySelector('.next-button')?.click();
-      `);
+  ipcMain.handle('equalizer-preset-save', (event, { name, preamp, gains, device } = {}) => {
+    try {
+      const id = equalizerPresets.save({ name, preamp, gains });
+      const preset = equalizerPresets.get(id);
+      settings.set('equalizer', { preset: id, preamp: preset.preamp, gains: preset.gains });
+      if (device) {
+        settings.set('equalizer', { devicePresets: { [device]: { preset: id, preamp: preset.preamp, gains: preset.gains } } });
+      }
+      return { ok: true, config: getEqualizerConfig() };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('leveling-config', () => settings.get('leveling'));
+
+  ipcMain.handle('leveling-memory-get', (event, key) => {
+    const entry = key ? loudnessMemory.get(key) : null;
+    return entry ? entry.loudness : null;
+  });
+
+  ipcMain.handle('leveling-memory-set', (event, { key, loudness } = {}) => {
+    if (!key || !Number.isFinite(loudness)) return;
+    loudnessMemory.set(key, { loudness, measuredAt: Date.now() });
+
+    const keys = loudnessMemory.keys();
+    if (keys.length > MAX_LOUDNESS_MEMORY) {
+      keys
+        .map((k) => ({ key: k, measuredAt: loudnessMemory.get(k).measuredAt || 0 }))
+        .sort((a, b) => a.measuredAt - b.measuredAt)
+        .slice(0, keys.length - MAX_LOUDNESS_MEMORY)
+        .forEach((entry) => loudnessMemory.remove(entry.key));
     }
   });
 
-  // Previous track
-  globalShortcut.register('MediaPreviousTrack', () => {
-    if (mainWindow) {
-      mainWindow.webContents.executeJavaScript(`
-        document.querySelector('.previous-button')?.click();
-      `);
+  // The curve stays as it is; it just no longer belongs to a preset
+  ipcMain.handle('equalizer-preset-delete', (event, id) => {
+    equalizerPresets.remove(id);
+    if (settings.get('equalizer').preset === id) {
+      settings.set('equalizer', { preset: 'custom' });
     }
+    return getEqualizerConfig();
   });
 }
 
+// Register media key handlers
+function registerMediaKeys() {
+  globalShortcut.register('MediaPlayPause', () => runPlayerCommand('play-pause'));
+  globalShortcut.register('MediaNextTrack', () => runPlayerCommand('next'));
+  globalShortcut.register('MediaPreviousTrack', () => runPlayerCommand('previous'));
+}
+
+// Prefer MPRIS on Linux desktops; global shortcuts elsewhere or without a session bus
+async function setupMediaControls() {
+  const mpris = createMprisService({
+    getState: () => playerState.get(),
+    runCommand: runPlayerCommand,
+    onRaise: () => {
+      if (mainWindow) {
+        mainWindow.show();
+        mainWindow.focus();
+      }
+    },
+    onQuit: () => app.quit()
+  });
+
+  if (await mpris.start()) {
+    mprisService = mpris;
+    console.log('MPRIS service registered on the session bus');
+    return;
+  }
+
+  registerMediaKeys();
+}
+
+// Start or stop the remote control API to match settings
+// (queued so quick toggles never overlap a start and a stop)
+let remoteControlQueue = Promise.resolve();
+
+function applyRemoteControlSettings() {
+  remoteControlQueue = remoteControlQueue.then(async () => {
+    if (remoteServer) {
+      await remoteServer.stop();
+      remoteServer = null;
+    }
+
+    let config = settings.get('remoteControl');
+    if (!config.enabled) return;
+
+    if (!config.token) {
+      config = settings.set('remoteControl', { token: generateToken() });
+      buildAppMenu();
+    }
+
+    const server = createRemoteServer({
+      host: config.host,
+      port: config.port,
+      token: config.token,
+      getState: () => playerState.get(),
+      runCommand: runPlayerCommand
+    });
+
+    try {
+      const address = await server.start();
+      remoteServer = server;
+      console.log(`Remote control API listening on http://${address.address}:${address.port}`);
+    } catch (e) {
+      console.error('Could not start remote control API:', e.message);
+    }
+  });
+  return remoteControlQueue;
+}
+
+// Application menu
+function buildAppMenu() {
+  const isMac = process.platform === 'darwin';
+  const remoteControl = settings.get('remoteControl');
+  const scrobbling = settings.get('scrobbling');
+  const presence = settings.get('discordPresence');
+  const leveling = settings.get('leveling');
+  const scrobbleTargets = [
+    { id: 'lastfm', label: 'Last.fm' },
+    { id: 'listenbrainz', label: 'ListenBrainz' },
+    { id: 'custom', label: 'Custom URL' }
+  ];
+
+  const template = [
+    isMac ? { role: 'appMenu' } : { role: 'fileMenu' },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    {
+      label: 'Integrations',
+      submenu: [
+        {
+          label: 'Remote Control API',
+          type: 'checkbox',
+          checked: remoteControl.enabled,
+          click: (item) => {
+            settings.set('remoteControl', { enabled: item.checked });
+            applyRemoteControlSettings();
+          }
+        },
+        {
+          label: 'Copy Pairing Token',
+          enabled: !!remoteControl.token,
+          click: () => clipboard.writeText(settings.get('remoteControl').token)
+        },
+        {
+          label: 'Regenerate Pairing Token',
+          click: () => {
+            settings.set('remoteControl', { token: generateToken() });
+            buildAppMenu();
+            applyRemoteControlSettings();
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Scrobbling',
+          type: 'checkbox',
+          checked: scrobbling.enabled,
+          click: (item) => {
+            settings.set('scrobbling', { enabled: item.checked });
+            scrobbler.flush();
+          }
+        },
+        {
+          label: 'Scrobble To',
+          submenu: scrobbleTargets.map((target) => ({
+            label: target.label,
+            type: 'radio',
+            checked: scrobbling.target === target.id,
+            click: () => {
+              settings.set('scrobbling', { target: target.id });
+              scrobbler.flush();
+            }
+          }))
+        },
+        { type: 'separator' },
+        {
+          label: 'Discord Rich Presence',
+          type: 'checkbox',
+          checked: presence.enabled,
+          click: (item) => {
+            settings.set('discordPresence', { enabled: item.checked });
+            discordPresence.applySettings();
+          }
+        },
+        {
+          // Discord shows the application's name above the track
+          label: presence.clientId ? 'Replace Discord Application ID from Clipboard' : 'Set Discord Application ID from Clipboard',
+          click: async () => {
+            const clientId = clipboard.readText().trim();
+            if (!/^\d{17,20}$/.test(clientId)) {
+              await dialog.showMessageBox({
+                type: 'info',
+                message: 'Copy a Discord application ID first',
+                detail: 'Create an application in the Discord Developer Portal, copy its Application ID and choose this item again.'
+              });
+              return;
+            }
+            settings.set('discordPresence', { clientId });
+            buildAppMenu();
+            discordPresence.applySettings();
+          }
+        }
+      ]
+    },
+    {
+      label: 'Audio',
+      submenu: [
+        {
+          label: 'Equalizer',
+          accelerator: 'CmdOrCtrl+Shift+E',
+          click: () => {
+            if (mainWindow) mainWindow.webContents.send('equalizer-panel');
+          }
+        },
+        {
+          label: 'Sleep Timer',
+          submenu: sleepTimerMenuItems()
+        },
+        { type: 'separator' },
+        {
+          label: 'Loudness Leveling',
+          type: 'checkbox',
+          checked: leveling.enabled,
+          click: (item) => setLeveling({ enabled: item.checked })
+        },
+        {
+          label: 'Leveling Target',
+          submenu: [
+            { label: 'Quiet (-18 LUFS)', target: -18 },
+            { label: 'Standard (-14 LUFS)', target: -14 },
+            { label: 'Loud (-11 LUFS)', target: -11 }
+          ].map((option) => ({
+            label: option.label,
+            type: 'radio',
+            checked: leveling.target === option.target,
+            click: () => setLeveling({ target: option.target })
+          }))
+        }
+      ]
+    },
+    {
+      label: 'History',
+      submenu: [
+        {
+          label: 'Listening History',
+          accelerator: 'CmdOrCtrl+Shift+H',
+          click: () => createHistoryWindow()
+        },
+        { type: 'separator' },
+        {
+          label: 'Clear Listening History…',
+          click: async () => {
+            const { response } = await dialog.showMessageBox({
+              type: 'warning',
+              buttons: ['Clear', 'Cancel'],
+              defaultId: 1,
+              cancelId: 1,
+              message: 'Clear the listening history?',
+              detail: 'Every recorded play will be removed. This cannot be undone.'
+            });
+            if (response !== 0) return;
+            listeningHistory.clear();
+            if (historyWindow) historyWindow.webContents.send('history-cleared');
+          }
+        }
+      ]
+    },
+    {
+      label: 'Lyrics',
+      submenu: [
+        {
+          label: 'Lyrics Stage',
+          accelerator: 'CmdOrCtrl+Shift+L',
+          click: () => setLyricsStage(!lyricsStageActive)
+        },
+        { type: 'separator' },
+        {
+          label: 'Open Lyrics Folder',
+          click: () => {
+            const folder = getLyricsFolder();
+            fs.mkdirSync(folder, { recursive: true });
+            shell.openPath(folder);
+          }
+        },
+        {
+          label: 'Clear Lyrics Cache',
+          click: () => {
+            lyricsCache.clear();
+            console.log('Lyrics cache cleared');
+          }
+        }
+      ]
+    },
+    { role: 'windowMenu' }
+  ];
+
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+const NETWORK_CHECK_INTERVAL = 10 * 1000;
+let networkTimer = null;
+
+// Send pending scrobbles as soon as the connection is back instead of
+// waiting out the retry backoff
+function watchNetwork() {
+  let online = net.isOnline();
+  networkTimer = setInterval(() => {
+    const wasOnline = online;
+    online = net.isOnline();
+    if (online && !wasOnline) {
+      scrobbler.retryNow();
+    }
+  }, NETWORK_CHECK_INTERVAL);
+}
+
 // App ready
 app.whenReady().then(() => {
   createWindow();
-  registerMediaKeys();
+  buildAppMenu();
+  setupMediaControls();
   setupMiniPlayerIPC();
+  setupLyricsIPC();
+  setupVisualizerIPC();
+  setupEqualizerIPC();
+  setupHistoryIPC();
+  applyRemoteControlSettings();
+  scrobbler.flush();
+  watchNetwork();
+  discordPresence.applySettings();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -322,9 +1004,26 @@ app.on('window-all-closed', () => {
   }
 });
 
-// Cleanup shortcuts on quit
+// Cleanup shortcuts, servers and pending writes on quit
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  if (remoteServer) {
+    remoteServer.stop();
+  }
+  if (mprisService) {
+    mprisService.stop();
+  }
+  clearInterval(networkTimer);
+  scrobbler.stop();
+  listeningHistory.stop();
+  discordPresence.stop();
+  sleepTimer.cancel();
+  lyricsCache.flush();
+  lyricsOffsets.flush();
+  lyricsPins.flush();
+  equalizerPresets.flush();
+  loudnessMemory.flush();
+  settings.flush();
 });
 
 // Handle certificate errors (for development)
@@ -7,15 +7,38 @@ contextBridge.exposeInMainWorld('ytMusicApp', {
 
     // Send messages to main process
     send: (channel, data) => {
-        const validChannels = ['media-control', 'window-control', 'toggle-mini-player', 'track-info-update'];
+        const validChannels = [
+            'media-control', 'window-control', 'toggle-mini-player', 'track-info-update', 'lyrics-line-update',
+            'lyrics-stage-set', 'sleep-timer-menu'
+        ];
         if (validChannels.includes(channel)) {
             ipcRenderer.send(channel, data);
         }
     },
 
+    // Request/response calls to main process
+    invoke: (channel, data) => {
+        const validChannels = [
+            'lyrics-config', 'lyrics-local-lookup', 'lyrics-cache-get', 'lyrics-cache-set',
+            'lyrics-offset-get', 'lyrics-offset-set', 'lyrics-transliterate', 'lyrics-transliteration-set',
+            'lyrics-export', 'lyrics-pin-get', 'lyrics-pin-set', 'lyrics-local-save',
+            'visualizer-presets', 'visualizer-preset-select', 'visualizer-preset-delete', 'visualizer-preset-import',
+            'visualizer-preset-export', 'equalizer-config', 'equalizer-set', 'equalizer-preset-save',
+            'equalizer-preset-delete', 'leveling-config', 'leveling-memory-get', 'leveling-memory-set',
+            'player-state-get'
+        ];
+        if (validChannels.includes(channel)) {
+            return ipcRenderer.invoke(channel, data);
+        }
+        return Promise.reject(new Error(`Invalid channel: ${channel}`));
+    },
+
     // Receive messages from main process
     receive: (channel, func) => {
-        const validChannels = ['media-state', 'theme-update'];
+        const validChannels = [
+            'media-state', 'theme-update', 'player-state', 'lyrics-stage', 'equalizer-panel', 'leveling-update',
+            'sleep-timer'
+        ];
         if (validChannels.includes(channel)) {
             ipcRenderer.on(channel, (event, ...args) => func(...args));
         }
@@ -0,0 +1,859 @@
+// Audio Engine - Web Audio chain for YouTube Music
+// Owns the AudioContext and the <video> element's MediaElementSource (which
+// can only be created once per element), so every audio feature shares one
+// graph:  source -> preamp -> 10-band EQ -> [leveler -> limiter] -> output -> destination
+// Visualizers tap the output through createAnalyser(). The equalizer panel
+// opens from the Audio menu (Cmd/Ctrl+Shift+E) or the EQ button; loudness
+// leveling is switched from the Audio menu.
+
+(function () {
+  'use strict';
+
+  // Prevent re-initialization
+  if (window.__ytAudioEngineInitialized) {
+    console.log('[YT Audio] Already initialized, skipping...');
+    return;
+  }
+  window.__ytAudioEngineInitialized = true;
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const EQ_Q = 1.4;            // Roughly one octave per band
+  const MAX_GAIN = 12;         // dB, either way
+  const RAMP_TIME = 0.02;      // seconds, avoids clicks when gains change
+  const SAVE_DELAY = 300;      // ms between slider moves and saving the curve
+
+  const LEVELING = {
+    BLOCK_MS: 100,              // Meter reading interval
+    SHORT_TERM_BLOCKS: 30,      // 3 s short-term loudness window
+    GATE: -50,                  // LUFS; quieter blocks are not counted
+    MIN_GAIN: -12,              // dB
+    MAX_GAIN: 9,                // dB
+    SMOOTHING: 1.5,             // seconds, time constant of gain changes
+    MIN_BLOCKS_TO_REMEMBER: 150 // 15 s of audio before a track is remembered
+  };
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  let audioContext = null;
+  let source = null;
+  let sourceVideo = null;
+  let preampNode = null;
+  let filters = [];
+  let outputNode = null;
+  let levelNode = null;        // Leveling gain
+  let limiter = null;
+  let meterInput = null;       // K-weighting filters feeding the meter
+  let meter = null;
+
+  // Mirrors the "equalizer" settings section in main, plus the preset list
+  let config = {
+    enabled: false,
+    preset: 'flat',
+    preamp: 0,
+    gains: EQ_FREQUENCIES.map(() => 0),
+    devicePresets: {},
+    presets: []
+  };
+  let deviceKey = 'Default';
+  let saveTimer = null;
+  let panel = null;
+  let panelPicker = null;
+  let panelDevice = null;
+
+  // ============================================
+  // AUDIO GRAPH
+  // ============================================
+
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  function ensureGraph() {
+    if (audioContext) return;
+
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    preampNode = audioContext.createGain();
+    outputNode = audioContext.createGain();
+
+    // Shelves at the ends, peaking filters in between
+    filters = EQ_FREQUENCIES.map((frequency, i) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = i === 0 ? 'lowshelf' : i === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking';
+      filter.frequency.value = frequency;
+      filter.Q.value = EQ_Q;
+      filter.gain.value = 0;
+      return filter;
+    });
+
+    [preampNode, ...filters, outputNode].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+    outputNode.connect(audioContext.destination);
+
+    // Leveler: fast, hard limiter just under full scale
+    levelNode = audioContext.createGain();
+    limiter = audioContext.createDynamicsCompressor();
+    limiter.threshold.value = -1.5;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.15;
+    levelNode.connect(limiter);
+    limiter.connect(outputNode);
+
+    // K-weighting: high shelf for the head's effect, high-pass for the lows
+    const shelf = audioContext.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1500;
+    shelf.gain.value = 4;
+    const highpass = audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 38;
+    highpass.Q.value = 0.5;
+    meter = audioContext.createAnalyser();
+    meter.fftSize = 4096;
+    meterBuffer = new Float32Array(meter.fftSize);
+    shelf.connect(highpass);
+    highpass.connect(meter);
+    meterInput = shelf;
+
+    routeLeveling();
+    applyCurve();
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.addEventListener('devicechange', checkOutputDevice);
+    }
+    checkOutputDevice();
+  }
+
+  // Route the page's <video> through the graph; returns the AudioContext,
+  // or null while there is no video element yet
+  function connect() {
+    const video = document.querySelector('video');
+    if (!video) return null;
+
+    ensureGraph();
+    if (video === sourceVideo) return audioContext;
+
+    try {
+      if (source) source.disconnect();
+      source = audioContext.createMediaElementSource(video);
+      source.connect(preampNode);
+      sourceVideo = video;
+      console.log(`[YT Audio] ✓ Connected (${audioContext.sampleRate}Hz)`);
+    } catch (error) {
+      console.error('[YT Audio] Could not connect the video element:', error);
+      return null;
+    }
+
+    return audioContext;
+  }
+
+  function resume() {
+    if (audioContext && audioContext.state === 'suspended') {
+      audioContext.resume();
+    }
+  }
+
+  // Analyser fed from the end of the chain; it is not routed to the speakers
+  function createAnalyser() {
+    if (!connect()) return null;
+    const analyser = audioContext.createAnalyser();
+    outputNode.connect(analyser);
+    return analyser;
+  }
+
+  function applyCurve() {
+    if (!audioContext) return;
+
+    const now = audioContext.currentTime;
+    const preamp = config.enabled ? dbToGain(config.preamp) : 1;
+    preampNode.gain.setTargetAtTime(preamp, now, RAMP_TIME);
+    filters.forEach((filter, i) => {
+      filter.gain.setTargetAtTime(config.enabled ? config.gains[i] || 0 : 0, now, RAMP_TIME);
+    });
+  }
+
+  // ============================================
+  // SETTINGS
+  // ============================================
+
+  async function invoke(channel, data) {
+    if (!window.ytMusicApp?.invoke) return null;
+    try {
+      return await window.ytMusicApp.invoke(channel, data);
+    } catch (error) {
+      console.log(`[YT Audio] ${channel} failed:`, error.message);
+      return null;
+    }
+  }
+
+  function useConfig(next) {
+    if (!next) return;
+    config = next;
+    applyCurve();
+    renderPanel();
+  }
+
+  async function loadConfig() {
+    useConfig(await invoke('equalizer-config'));
+    useLeveling(await invoke('leveling-config'));
+
+    // Nothing to do until the EQ is turned on; the visualizer connects on its own
+    if (config.enabled) {
+      connectWhenReady();
+    }
+  }
+
+  // Apply locally right away; save once the sliders settle. The panel is
+  // not rebuilt here so a slider being dragged keeps its grip.
+  function updateCurve(patch) {
+    config = { ...config, ...patch };
+    applyCurve();
+    syncPanelStatus();
+
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+      const { preset, preamp, gains } = config;
+      const next = await invoke('equalizer-set', { preset, preamp, gains, device: deviceKey });
+      if (next) {
+        config = next;
+        syncPanelStatus();
+      }
+    }, SAVE_DELAY);
+  }
+
+  async function setEnabled(enabled) {
+    if (enabled) connectWhenReady();
+    useConfig(await invoke('equalizer-set', { enabled }));
+  }
+
+  async function selectPreset(id) {
+    const preset = config.presets.find(p => p.id === id);
+    if (!preset) return;
+    clearTimeout(saveTimer);
+    useConfig(await invoke('equalizer-set', { preset: id, preamp: preset.preamp, gains: preset.gains, device: deviceKey }));
+  }
+
+  async function savePreset(name) {
+    const result = await invoke('equalizer-preset-save', {
+      name,
+      preamp: config.preamp,
+      gains: config.gains,
+      device: deviceKey
+    });
+    if (result?.ok) {
+      useConfig(result.config);
+    }
+    return result;
+  }
+
+  async function deletePreset(id) {
+    useConfig(await invoke('equalizer-preset-delete', id));
+  }
+
+  // ============================================
+  // OUTPUT DEVICES
+  // ============================================
+  // The curve is remembered per output device (by label, since device ids
+  // change between sessions) and restored when that device comes back.
+
+  async function getOutputDeviceLabel() {
+    if (!navigator.mediaDevices?.enumerateDevices) return 'Default';
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const sinkId = (audioContext && typeof audioContext.sinkId === 'string' && audioContext.sinkId) || 'default';
+    const output = devices.find(d => d.kind === 'audiooutput' && d.deviceId === sinkId);
+
+    // "Default - MacBook Pro Speakers" -> "MacBook Pro Speakers"
+    const label = (output?.label || '').replace(/^Default\s*-\s*/i, '').trim();
+    return label || 'Default';
+  }
+
+  async function checkOutputDevice() {
+    let label;
+    try {
+      label = await getOutputDeviceLabel();
+    } catch (error) {
+      return;
+    }
+    if (label === deviceKey) return;
+
+    deviceKey = label;
+    console.log('[YT Audio] Output device:', deviceKey);
+
+    const saved = config.devicePresets?.[deviceKey];
+    if (saved) {
+      clearTimeout(saveTimer);
+      useConfig(await invoke('equalizer-set', saved));
+    } else {
+      syncPanelStatus();
+    }
+  }
+
+  // ============================================
+  // LOUDNESS LEVELING
+  // ============================================
+  // Measures the EQ output with a K-weighted meter (BS.1770 style) and
+  // steers a gain stage towards the target loudness, with a limiter after
+  // it to catch peaks. Each track's measured loudness is remembered by video
+  // id so a replay starts at the right gain instead of adapting again.
+
+  let leveling = { enabled: false, target: -14 };
+  let meterTimer = null;
+  let meterBuffer = null;
+  let shortTermBlocks = [];     // mean squares of the last few seconds
+  let track = null;             // { id, energy, blocks, remembered }
+
+  // The analyser mixes stereo down to mono; +3 dB stands in for the sum
+  // over both channels that BS.1770 uses
+  function toLufs(meanSquare) {
+    return -0.691 + 3.01 + 10 * Math.log10(meanSquare);
+  }
+
+  function getVideoId() {
+    const moviePlayer = document.querySelector('#movie_player');
+    const fromPlayer = moviePlayer?.getVideoData?.()?.video_id;
+    return fromPlayer || new URLSearchParams(window.location.search).get('v') || '';
+  }
+
+  // Leveling sits between the EQ and the output only while it's on
+  function routeLeveling() {
+    if (!audioContext) return;
+
+    const eqOut = filters[filters.length - 1];
+    eqOut.disconnect();
+    eqOut.connect(meterInput);
+    eqOut.connect(leveling.enabled ? levelNode : outputNode);
+
+    if (leveling.enabled) {
+      startMeter();
+    } else {
+      stopMeter();
+      levelNode.gain.setTargetAtTime(1, audioContext.currentTime, RAMP_TIME);
+    }
+  }
+
+  function setLevelGain(loudness, timeConstant) {
+    const gainDb = Math.max(LEVELING.MIN_GAIN, Math.min(LEVELING.MAX_GAIN, leveling.target - loudness));
+    levelNode.gain.setTargetAtTime(dbToGain(gainDb), audioContext.currentTime, timeConstant);
+  }
+
+  async function startTrack(id) {
+    track = { id, energy: 0, blocks: 0, remembered: null };
+    shortTermBlocks = [];
+    if (!id) return;
+
+    const remembered = await invoke('leveling-memory-get', id);
+    if (track.id !== id || typeof remembered !== 'number') return;
+
+    track.remembered = remembered;
+    setLevelGain(remembered, RAMP_TIME);
+  }
+
+  // Remember the track once enough of it was heard to trust the number
+  function finishTrack() {
+    if (!track || !track.id || track.blocks < LEVELING.MIN_BLOCKS_TO_REMEMBER) return;
+    const loudness = Math.round(toLufs(track.energy / track.blocks) * 10) / 10;
+    invoke('leveling-memory-set', { key: track.id, loudness });
+  }
+
+  function measure() {
+    const id = getVideoId();
+    if (!track || id !== track.id) {
+      finishTrack();
+      startTrack(id);
+    }
+
+    const video = sourceVideo;
+    if (!video || video.paused) return;
+
+    meter.getFloatTimeDomainData(meterBuffer);
+    let sum = 0;
+    for (let i = 0; i < meterBuffer.length; i++) {
+      sum += meterBuffer[i] * meterBuffer[i];
+    }
+    const meanSquare = sum / meterBuffer.length;
+
+    // Silence and fades would drag the estimate down
+    if (meanSquare <= 0 || toLufs(meanSquare) < LEVELING.GATE) return;
+
+    shortTermBlocks.push(meanSquare);
+    if (shortTermBlocks.length > LEVELING.SHORT_TERM_BLOCKS) shortTermBlocks.shift();
+    track.energy += meanSquare;
+    track.blocks++;
+
+    if (track.remembered !== null) return;
+
+    // Short-term loudness until the track average settles, then the average
+    const loudness = track.blocks < LEVELING.SHORT_TERM_BLOCKS
+      ? toLufs(shortTermBlocks.reduce((a, b) => a + b, 0) / shortTermBlocks.length)
+      : toLufs(track.energy / track.blocks);
+    setLevelGain(loudness, LEVELING.SMOOTHING);
+  }
+
+  function startMeter() {
+    if (meterTimer) return;
+    meterTimer = setInterval(measure, LEVELING.BLOCK_MS);
+  }
+
+  function stopMeter() {
+    clearInterval(meterTimer);
+    meterTimer = null;
+    finishTrack();
+    track = null;
+  }
+
+  function useLeveling(next) {
+    if (!next) return;
+    const targetChanged = next.target !== leveling.target;
+    leveling = next;
+
+    if (leveling.enabled) connectWhenReady();
+    routeLeveling();
+
+    // Remembered loudness is stored, not gain, so a new target applies at once
+    if (targetChanged && leveling.enabled && track && track.remembered !== null) {
+      setLevelGain(track.remembered, RAMP_TIME);
+    }
+  }
+
+  // ============================================
+  // CONNECTION
+  // ============================================
+
+  let connectTimer = null;
+
+  // The video element may not exist yet right after the page loads
+  function connectWhenReady() {
+    if (connect()) {
+      resume();
+      return;
+    }
+    clearTimeout(connectTimer);
+    connectTimer = setTimeout(connectWhenReady, 1000);
+  }
+
+  // Browsers start an AudioContext suspended until the user interacts
+  function setupInteractionHandler() {
+    const onInteraction = () => {
+      if (config.enabled || leveling.enabled) connectWhenReady();
+      resume();
+    };
+    document.addEventListener('click', onInteraction);
+    document.addEventListener('keydown', onInteraction);
+  }
+
+  // ============================================
+  // EQUALIZER PANEL
+  // ============================================
+
+  function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+  }
+
+  function formatGain(db) {
+    return `${db > 0 ? '+' : ''}${Number(db).toFixed(1)}`;
+  }
+
+  function createSlider(className, value, onInput) {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = className;
+    slider.min = String(-MAX_GAIN);
+    slider.max = String(MAX_GAIN);
+    slider.step = '0.5';
+    slider.value = String(value);
+    slider.addEventListener('input', () => onInput(parseFloat(slider.value)));
+    // Double-click resets the band
+    slider.addEventListener('dblclick', () => {
+      slider.value = '0';
+      onInput(0);
+    });
+    return slider;
+  }
+
+  function createBand(label, className, value, onInput) {
+    const band = document.createElement('div');
+    band.className = `yt-eq-band ${className}`;
+
+    const valueEl = document.createElement('span');
+    valueEl.className = 'yt-eq-value';
+    valueEl.textContent = formatGain(value);
+
+    const track = document.createElement('div');
+    track.className = 'yt-eq-track';
+    track.appendChild(createSlider('yt-eq-slider', value, (db) => {
+      valueEl.textContent = formatGain(db);
+      onInput(db);
+    }));
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'yt-eq-label';
+    labelEl.textContent = label;
+
+    band.appendChild(valueEl);
+    band.appendChild(track);
+    band.appendChild(labelEl);
+    return band;
+  }
+
+  function createPanel() {
+    panel = document.createElement('div');
+    panel.id = 'yt-eq-panel';
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') togglePanel(false);
+      // Keep typing in the name field away from the player's shortcuts
+      e.stopPropagation();
+    });
+    document.body.appendChild(panel);
+  }
+
+  // Rebuilt from config whenever it changes
+  function renderPanel() {
+    if (!panel || !panel.classList.contains('open')) return;
+    panel.textContent = '';
+
+    // Header: title, on/off switch, close
+    const header = document.createElement('div');
+    header.className = 'yt-eq-header';
+
+    const title = document.createElement('span');
+    title.className = 'yt-eq-title';
+    title.textContent = 'Equalizer';
+
+    const toggle = document.createElement('button');
+    toggle.className = `yt-eq-toggle${config.enabled ? ' active' : ''}`;
+    toggle.title = config.enabled ? 'Turn equalizer off' : 'Turn equalizer on';
+    toggle.addEventListener('click', () => setEnabled(!config.enabled));
+
+    const close = document.createElement('button');
+    close.className = 'yt-eq-close';
+    close.textContent = '✕';
+    close.title = 'Close (Esc)';
+    close.addEventListener('click', () => togglePanel(false));
+
+    header.appendChild(title);
+    header.appendChild(toggle);
+    header.appendChild(close);
+
+    // Preset picker
+    const presetRow = document.createElement('div');
+    presetRow.className = 'yt-eq-row';
+
+    const picker = document.createElement('select');
+    picker.className = 'yt-eq-preset';
+    panelPicker = picker;
+    const addOption = (parent, value, text) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      parent.appendChild(option);
+    };
+    if (config.preset === 'custom') addOption(picker, 'custom', 'Custom');
+    config.presets.filter(p => p.builtIn).forEach(p => addOption(picker, p.id, p.name));
+    const userPresets = config.presets.filter(p => !p.builtIn);
+    if (userPresets.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'My Presets';
+      userPresets.forEach(p => addOption(group, p.id, p.name));
+      picker.appendChild(group);
+    }
+    picker.value = config.preset;
+    picker.addEventListener('change', () => selectPreset(picker.value));
+    presetRow.appendChild(picker);
+
+    if (config.preset.startsWith('user:')) {
+      const remove = document.createElement('button');
+      remove.className = 'yt-eq-btn';
+      remove.textContent = 'Delete';
+      remove.title = 'Delete this preset';
+      remove.addEventListener('click', () => deletePreset(config.preset));
+      presetRow.appendChild(remove);
+    }
+
+    // Preamp and bands
+    const bands = document.createElement('div');
+    bands.className = `yt-eq-bands${config.enabled ? '' : ' disabled'}`;
+    bands.appendChild(createBand('Pre', 'yt-eq-preamp', config.preamp, (db) => {
+      updateCurve({ preset: 'custom', preamp: db });
+    }));
+    EQ_FREQUENCIES.forEach((frequency, i) => {
+      bands.appendChild(createBand(formatFrequency(frequency), '', config.gains[i] || 0, (db) => {
+        const gains = [...config.gains];
+        gains[i] = db;
+        updateCurve({ preset: 'custom', gains });
+      }));
+    });
+
+    // Save the current curve under a name
+    const saveRow = document.createElement('form');
+    saveRow.className = 'yt-eq-row';
+    const nameInput = document.createElement('input');
+    nameInput.className = 'yt-eq-name';
+    nameInput.placeholder = 'Preset name';
+    nameInput.maxLength = 40;
+    const save = document.createElement('button');
+    save.className = 'yt-eq-btn';
+    save.type = 'submit';
+    save.textContent = 'Save';
+    saveRow.appendChild(nameInput);
+    saveRow.appendChild(save);
+    saveRow.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name) return;
+      const result = await savePreset(name);
+      if (result && !result.ok) {
+        console.log('[YT Audio] Could not save preset:', result.error);
+      }
+    });
+
+    const device = document.createElement('div');
+    device.className = 'yt-eq-device';
+    panelDevice = device;
+    syncPanelStatus();
+
+    panel.appendChild(header);
+    panel.appendChild(presetRow);
+    panel.appendChild(bands);
+    panel.appendChild(saveRow);
+    panel.appendChild(device);
+  }
+
+  // Preset name and device note, without rebuilding the sliders
+  function syncPanelStatus() {
+    if (!panelPicker || !panelDevice) return;
+
+    if (config.preset === 'custom' && !panelPicker.querySelector('option[value="custom"]')) {
+      const option = document.createElement('option');
+      option.value = 'custom';
+      option.textContent = 'Custom';
+      panelPicker.insertBefore(option, panelPicker.firstChild);
+    }
+    panelPicker.value = config.preset;
+
+    const remembered = config.devicePresets?.[deviceKey];
+    panelDevice.textContent = `Output: ${deviceKey}${remembered ? ' · curve remembered' : ''}`;
+  }
+
+  function togglePanel(open) {
+    if (!panel) createPanel();
+    const show = typeof open === 'boolean' ? open : !panel.classList.contains('open');
+    panel.classList.toggle('open', show);
+    if (show) {
+      renderPanel();
+      checkOutputDevice();
+    }
+  }
+
+  function injectStyles() {
+    if (document.getElementById('yt-eq-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'yt-eq-styles';
+    style.textContent = `
+      #yt-eq-panel {
+        position: fixed;
+        top: 52px;
+        right: 12px;
+        z-index: 10002;
+        display: none;
+        flex-direction: column;
+        gap: 10px;
+        padding: 12px 14px;
+        background: rgba(0, 0, 0, 0.85);
+        backdrop-filter: blur(16px);
+        -webkit-backdrop-filter: blur(16px);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 14px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+        color: rgba(255, 255, 255, 0.85);
+        font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif;
+        font-size: 11px;
+        -webkit-app-region: no-drag;
+      }
+
+      #yt-eq-panel.open {
+        display: flex;
+      }
+
+      .yt-eq-header,
+      .yt-eq-row {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .yt-eq-title {
+        flex: 1;
+        font-size: 13px;
+        font-weight: 600;
+        color: #ffffff;
+      }
+
+      .yt-eq-toggle {
+        position: relative;
+        width: 32px;
+        height: 18px;
+        padding: 0;
+        border: none;
+        border-radius: 9px;
+        background: rgba(255, 255, 255, 0.15);
+        cursor: pointer;
+        transition: background 0.3s ease;
+      }
+
+      .yt-eq-toggle::after {
+        content: '';
+        position: absolute;
+        top: 2px;
+        left: 2px;
+        width: 14px;
+        height: 14px;
+        border-radius: 50%;
+        background: rgba(255, 255, 255, 0.8);
+        transition: left 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      }
+
+      .yt-eq-toggle.active {
+        background: linear-gradient(135deg, #667eea, #764ba2);
+      }
+
+      .yt-eq-toggle.active::after {
+        left: 16px;
+        background: #ffffff;
+      }
+
+      .yt-eq-close,
+      .yt-eq-btn {
+        border: none;
+        border-radius: 10px;
+        background: rgba(255, 255, 255, 0.1);
+        color: rgba(255, 255, 255, 0.8);
+        font-size: 11px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+
+      .yt-eq-close {
+        width: 20px;
+        height: 20px;
+        padding: 0;
+      }
+
+      .yt-eq-btn {
+        padding: 4px 10px;
+      }
+
+      .yt-eq-close:hover,
+      .yt-eq-btn:hover {
+        background: rgba(255, 255, 255, 0.2);
+        color: #ffffff;
+      }
+
+      .yt-eq-preset,
+      .yt-eq-name {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 8px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 8px;
+        background: rgba(255, 255, 255, 0.08);
+        color: #ffffff;
+        font-size: 11px;
+        font-family: inherit;
+        outline: none;
+      }
+
+      .yt-eq-preset option,
+      .yt-eq-preset optgroup {
+        background: #1a1a1a;
+      }
+
+      .yt-eq-bands {
+        display: flex;
+        gap: 4px;
+        transition: opacity 0.2s ease;
+      }
+
+      .yt-eq-bands.disabled {
+        opacity: 0.4;
+      }
+
+      .yt-eq-band {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 4px;
+        width: 28px;
+      }
+
+      .yt-eq-preamp {
+        margin-right: 8px;
+      }
+
+      .yt-eq-value,
+      .yt-eq-label {
+        font-size: 9px;
+        color: rgba(255, 255, 255, 0.5);
+        font-variant-numeric: tabular-nums;
+      }
+
+      /* Horizontal range inputs turned upright */
+      .yt-eq-track {
+        position: relative;
+        width: 28px;
+        height: 120px;
+      }
+
+      .yt-eq-slider {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        width: 120px;
+        margin: 0;
+        transform: translate(-50%, -50%) rotate(-90deg);
+        accent-color: #8b7cf6;
+        cursor: pointer;
+      }
+
+      .yt-eq-device {
+        font-size: 10px;
+        color: rgba(255, 255, 255, 0.4);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  function init() {
+    injectStyles();
+    setupInteractionHandler();
+    loadConfig();
+
+    window.ytMusicApp?.receive?.('equalizer-panel', () => togglePanel());
+    window.ytMusicApp?.receive?.('leveling-update', useLeveling);
+
+    window.__ytAudioEngine = {
+      connect,
+      resume,
+      createAnalyser,
+      togglePanel,
+      getContext: () => audioContext
+    };
+
+    console.log('[YT Audio] Ready');
+  }
+
+  init();
+})();
@@ -24,6 +24,12 @@
     TARGET_FPS: 60,           // Target frame rate
     MIN_FPS: 30,              // Minimum acceptable FPS
     MAX_PARTICLES: 100,       // Maximum particle count
+    RENDERER: 'auto',         // 'auto' (WebGL when available), 'webgl' or 'canvas'
+    SOFTWARE_GL_SCALE: 0.5,   // Resolution scale when WebGL runs without a GPU
+    SOFTWARE_GL_FPS: 30,      // Frame rate cap when WebGL runs without a GPU
+    
+    // Scene layers; presets can turn them off
+    LAYERS: { aurora: true, orbs: true, particles: true, flash: true, bars: true, waveform: true },
     
     // Frequency bands in Hz (based on audio engineering standards)
     FREQ_BANDS: {
@@ -80,7 +86,11 @@
   
   // Visual elements
   let canvas = null;
-  let ctx = null;
+  let ctx = null;            // Canvas 2D context (fallback renderer)
+  let glRenderer = null;     // WebGL renderer, when in use
+  let baseScale = 1;         // Renderer resolution (reduced for software GL)
+  let renderScale = 1;       // Canvas pixels per CSS pixel, after the quality tier
+  let targetFPS = CONFIG.TARGET_FPS;
   let particles = [];
   let orbs = [];
   let auroraPhase = 0;
@@ -165,6 +175,16 @@
     const avgEnergy = beatState.energyHistory.reduce((a, b) => a + b, 0) / beatState.energyHistory.length;
     beatState.adaptiveThreshold = avgEnergy * 1.4 + 0.1;
     
+    // Lock beats to the estimated tempo once it can be trusted
+    if (hasTempo()) {
+      const phase = tempoPhase(now);
+      beatState.isBeat = phase < beatState.beatPhase; // wrapped past a beat
+      beatState.beatPhase = phase;
+      beatState.bpm = tempo.bpm;
+      if (beatState.isBeat) beatState.lastBeatTime = now;
+      return beatState.isBeat;
+    }
+    
     // Minimum time between beats (prevents double triggers)
     const minBeatInterval = 200; // ms (300 BPM max)
     
@@ -190,6 +210,210 @@
     return beatState.isBeat;
   }
 
+  // ============================================
+  // TEMPO ESTIMATION
+  // ============================================
+  // Onset envelope (spectral flux) sampled on a fixed hop from its own
+  // unsmoothed analyser, autocorrelated every second to find the beat
+  // period, then comb-filtered to find where the beats fall. A new tempo
+  // has to repeat before it replaces the current one, so the BPM stays
+  // stable through breaks and fills.
+
+  const TEMPO = {
+    HOP_MS: 20,                // Onset envelope sample rate (50 Hz)
+    WINDOW_SECONDS: 8,         // Envelope history used for the estimate
+    ESTIMATE_EVERY: 50,        // Hops between estimates (1 s)
+    MIN_BPM: 60,
+    MAX_BPM: 200,
+    PRIOR_BPM: 120,            // Center of the perceptual weighting
+    PRIOR_WIDTH: 1.0,          // Octaves
+    MIN_CONFIDENCE: 0.25,      // Below this the beat detector's own beats are used
+    CONFIRMATIONS: 3           // Matching estimates needed to switch tempo
+  };
+
+  let tempo = { bpm: 0, confidence: 0, beatTime: 0 };
+  let tempoAnalyser = null;
+  let tempoData = null;
+  let tempoPrevious = null;
+  let onsetEnvelope = [];
+  let tempoTimer = null;
+  let tempoHops = 0;
+  let tempoCandidate = { bpm: 0, count: 0 };
+  let tempoVideoId = '';
+
+  function hasTempo() {
+    return tempo.confidence >= TEMPO.MIN_CONFIDENCE && tempo.bpm > 0;
+  }
+
+  // 0 on the beat, rising to 1 just before the next one
+  function tempoPhase(now) {
+    const period = 60000 / tempo.bpm;
+    const phase = ((now - tempo.beatTime) % period) / period;
+    return phase < 0 ? phase + 1 : phase;
+  }
+
+  function resetTempo() {
+    tempo = { bpm: 0, confidence: 0, beatTime: 0 };
+    tempoCandidate = { bpm: 0, count: 0 };
+    onsetEnvelope = [];
+    tempoPrevious = null;
+  }
+
+  function sampleOnset() {
+    const videoId = getVideoId();
+    if (videoId !== tempoVideoId) {
+      tempoVideoId = videoId;
+      resetTempo();
+    }
+
+    tempoAnalyser.getByteFrequencyData(tempoData);
+
+    // Positive spectral change, averaged over the bins
+    let flux = 0;
+    if (tempoPrevious) {
+      for (let i = 0; i < tempoData.length; i++) {
+        const rise = tempoData[i] - tempoPrevious[i];
+        if (rise > 0) flux += rise;
+      }
+      flux /= tempoData.length;
+    } else {
+      tempoPrevious = new Uint8Array(tempoData.length);
+    }
+    tempoPrevious.set(tempoData);
+
+    onsetEnvelope.push(flux);
+    const maxLength = TEMPO.WINDOW_SECONDS * 1000 / TEMPO.HOP_MS;
+    if (onsetEnvelope.length > maxLength) onsetEnvelope.shift();
+
+    tempoHops++;
+    if (tempoHops % TEMPO.ESTIMATE_EVERY === 0 && onsetEnvelope.length >= maxLength / 2) {
+      estimateTempo();
+    }
+  }
+
+  function estimateTempo() {
+    const n = onsetEnvelope.length;
+    const mean = onsetEnvelope.reduce((a, b) => a + b, 0) / n;
+    // Light smoothing so onsets that straddle two hops still line up
+    const env = onsetEnvelope.map((v, i) =>
+      (onsetEnvelope[Math.max(0, i - 1)] + 2 * v + onsetEnvelope[Math.min(n - 1, i + 1)]) / 4 - mean
+    );
+
+    const energy = env.reduce((sum, v) => sum + v * v, 0);
+    if (energy <= 0) return;
+
+    const hopsPerMinute = 60000 / TEMPO.HOP_MS;
+    const minLag = Math.floor(hopsPerMinute / TEMPO.MAX_BPM);
+    const maxLag = Math.ceil(hopsPerMinute / TEMPO.MIN_BPM);
+
+    // Autocorrelation weighted towards typical tempos to avoid octave errors
+    const scores = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = lag; i < n; i++) {
+        sum += env[i] * env[i - lag];
+      }
+      const octaves = Math.log2((hopsPerMinute / lag) / TEMPO.PRIOR_BPM) / TEMPO.PRIOR_WIDTH;
+      scores[lag] = { raw: sum / energy, weighted: (sum / energy) * Math.exp(-0.5 * octaves * octaves) };
+    }
+
+    let bestLag = minLag;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (scores[lag].weighted > scores[bestLag].weighted) bestLag = lag;
+    }
+
+    // Parabolic interpolation between lags for sub-hop precision
+    const [a, b, c] = [scores[bestLag - 1].raw, scores[bestLag].raw, scores[bestLag + 1].raw];
+    const denominator = a - 2 * b + c;
+    const offset = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+    const period = bestLag + offset;
+
+    acceptTempo(hopsPerMinute / period, Math.max(0, scores[bestLag].raw), period);
+  }
+
+  function acceptTempo(bpm, confidence, period) {
+    const close = (x, y) => Math.abs(x - y) / y < 0.04;
+
+    if (tempo.bpm > 0 && close(bpm, tempo.bpm)) {
+      tempo.bpm = tempo.bpm * 0.8 + bpm * 0.2;
+      tempo.confidence = tempo.confidence * 0.7 + confidence * 0.3;
+      tempoCandidate = { bpm: 0, count: 0 };
+    } else {
+      tempoCandidate = close(bpm, tempoCandidate.bpm || bpm)
+        ? { bpm, count: tempoCandidate.count + 1 }
+        : { bpm, count: 1 };
+
+      if (tempo.bpm === 0 || tempoCandidate.count >= TEMPO.CONFIRMATIONS) {
+        tempo.bpm = bpm;
+        tempo.confidence = confidence;
+        tempoCandidate = { bpm: 0, count: 0 };
+      } else {
+        // A disagreeing estimate lowers trust in the current tempo
+        tempo.confidence *= 0.85;
+      }
+    }
+
+    tempo.beatTime = findBeatTime(period);
+  }
+
+  // Comb over the envelope: the offset whose beats line up with the most
+  // onset energy is where the last beat fell
+  function findBeatTime(period) {
+    const n = onsetEnvelope.length;
+    const steps = Math.round(period);
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+
+    for (let offset = 0; offset < steps; offset++) {
+      let score = 0;
+      for (let position = n - 1 - offset; position >= 0; position -= period) {
+        score += onsetEnvelope[Math.round(position)];
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+
+    return performance.now() - bestOffset * TEMPO.HOP_MS;
+  }
+
+  function startTempoTracking() {
+    if (tempoTimer) return;
+
+    if (!tempoAnalyser) {
+      tempoAnalyser = window.__ytAudioEngine.createAnalyser();
+      if (!tempoAnalyser) return;
+      tempoAnalyser.fftSize = 1024;
+      tempoAnalyser.smoothingTimeConstant = 0;
+      tempoData = new Uint8Array(tempoAnalyser.frequencyBinCount);
+    }
+
+    tempoTimer = setInterval(sampleOnset, TEMPO.HOP_MS);
+  }
+
+  function stopTempoTracking() {
+    if (!tempoTimer) return;
+    clearInterval(tempoTimer);
+    tempoTimer = null;
+    // Onsets on either side of a pause don't line up
+    onsetEnvelope = [];
+    tempoPrevious = null;
+  }
+
+  // Tempo feeds the mini player as well as the visuals, so it follows the
+  // audio engine rather than the background toggle: sampled only while the
+  // engine is connected and running and the video is playing
+  function updateTempoTracking() {
+    const context = window.__ytAudioEngine?.getContext();
+    const video = document.querySelector('video');
+    if (context && context.state === 'running' && video && !video.paused) {
+      startTempoTracking();
+    } else {
+      stopTempoTracking();
+    }
+  }
+
   // ============================================
   // VISUAL EFFECTS
   // ============================================
@@ -200,7 +424,10 @@
     canvas = document.getElementById('living-bg-canvas');
     if (!canvas) return;
     
-    ctx = canvas.getContext('2d');
+    // A canvas keeps its first context type, so the backend is chosen once
+    if (!glRenderer && !ctx) {
+      chooseRenderer();
+    }
     resizeCanvas();
     
     // Initialize orbs
@@ -217,8 +444,50 @@
   
   function resizeCanvas() {
     if (!canvas) return;
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+    renderScale = baseScale * quality().scale;
+    canvas.width = Math.round(window.innerWidth * renderScale);
+    canvas.height = Math.round(window.innerHeight * renderScale);
+    if (glRenderer) {
+      glRenderer.resize();
+    }
+  }
+  
+  // Aurora layers, shared by both renderers
+  const AURORA_LAYERS = [
+    { band: 'subBass', yOffset: 0.3, amplitude: 0.15, speed: 0.3 },
+    { band: 'bass', yOffset: 0.4, amplitude: 0.2, speed: 0.5 },
+    { band: 'lowMids', yOffset: 0.5, amplitude: 0.18, speed: 0.7 },
+    { band: 'mids', yOffset: 0.55, amplitude: 0.12, speed: 1.0 }
+  ];
+  
+  // Aurora phase advances based on overall energy
+  function advanceAurora() {
+    const totalEnergy = (smoothedLevels.bass + smoothedLevels.mids + smoothedLevels.treble) / 3;
+    auroraPhase += 0.002 + totalEnergy * 0.005;
+  }
+  
+  // Mix dominant color with band-specific color
+  function auroraLayerColor(layer) {
+    const bandInfo = Object.values(CONFIG.FREQ_BANDS).find(b => 
+      b.name.replace('-', '').toLowerCase() === layer.band.toLowerCase()
+    ) || CONFIG.FREQ_BANDS.BASS;
+    
+    return {
+      r: Math.round(dominantColor.r * 0.6 + bandInfo.color.r * 0.4),
+      g: Math.round(dominantColor.g * 0.6 + bandInfo.color.g * 0.4),
+      b: Math.round(dominantColor.b * 0.6 + bandInfo.color.b * 0.4)
+    };
+  }
+  
+  // Decays from 1 on each beat; 0 without a locked tempo
+  function beatPulse() {
+    return hasTempo() ? Math.pow(1 - beatState.beatPhase, 4) : 0;
+  }
+  
+  // Smooth orb opacity towards its band level
+  function updateOrbOpacity(orb) {
+    const targetOpacity = Math.pow(smoothedLevels[orb.band], 0.8);
+    orb.opacity = orb.opacity * 0.9 + targetOpacity * 0.1;
   }
   
   // Render aurora-style gradient background
@@ -232,34 +501,17 @@
     ctx.fillStyle = '#000000';
     ctx.fillRect(0, 0, width, height);
     
-    // Aurora phase advances based on overall energy
-    const totalEnergy = (smoothedLevels.bass + smoothedLevels.mids + smoothedLevels.treble) / 3;
-    auroraPhase += 0.002 + totalEnergy * 0.005;
-    
-    // Create multiple aurora layers
-    const layers = [
-      { band: 'subBass', yOffset: 0.3, amplitude: 0.15, speed: 0.3 },
-      { band: 'bass', yOffset: 0.4, amplitude: 0.2, speed: 0.5 },
-      { band: 'lowMids', yOffset: 0.5, amplitude: 0.18, speed: 0.7 },
-      { band: 'mids', yOffset: 0.55, amplitude: 0.12, speed: 1.0 }
-    ];
+    advanceAurora();
+    if (!CONFIG.LAYERS.aurora) return;
     
-    for (const layer of layers) {
+    for (const layer of AURORA_LAYERS.slice(0, quality().layers)) {
       const level = smoothedLevels[layer.band];
       if (level < 0.05) continue;
       
       // Create gradient for this aurora layer
       const baseY = height * layer.yOffset;
       const waveAmplitude = height * layer.amplitude * level;
-      
-      // Mix dominant color with band-specific color
-      const bandInfo = Object.values(CONFIG.FREQ_BANDS).find(b => 
-        b.name.replace('-', '').toLowerCase() === layer.band.toLowerCase()
-      ) || CONFIG.FREQ_BANDS.BASS;
-      
-      const r = Math.round(dominantColor.r * 0.6 + bandInfo.color.r * 0.4);
-      const g = Math.round(dominantColor.g * 0.6 + bandInfo.color.g * 0.4);
-      const b = Math.round(dominantColor.b * 0.6 + bandInfo.color.b * 0.4);
+      const { r, g, b } = auroraLayerColor(layer);
       
       // Draw flowing aurora shape
       ctx.beginPath();
@@ -291,21 +543,20 @@
   
   // Render glowing orbs
   function renderOrbs(time) {
-    if (!ctx) return;
+    if (!ctx || !CONFIG.LAYERS.orbs) return;
     
     for (const orb of orbs) {
       const level = smoothedLevels[orb.band];
       
       // Smooth opacity transition
-      const targetOpacity = Math.pow(level, 0.8);
-      orb.opacity = orb.opacity * 0.9 + targetOpacity * 0.1;
+      updateOrbOpacity(orb);
       
       if (orb.opacity < 0.02) continue;
       
       const x = canvas.width * orb.x;
       const y = canvas.height * orb.y;
       const baseRadius = Math.min(canvas.width, canvas.height) * orb.radius;
-      const radius = baseRadius * (0.8 + level * 0.4);
+      const radius = baseRadius * (0.8 + level * 0.4) * (1 + beatPulse() * 0.08);
       
       // Create radial gradient for glow
       const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
@@ -390,12 +641,13 @@
   
   // Spawn particles based on frequency levels
   function spawnParticles() {
-    if (particles.length >= CONFIG.MAX_PARTICLES) return;
+    const limit = maxParticles();
+    if (!CONFIG.LAYERS.particles || particles.length >= limit) return;
     
     // Spawn on beat
     if (beatState.isBeat) {
       const count = 3 + Math.floor(smoothedLevels.bass * 8);
-      for (let i = 0; i < count && particles.length < CONFIG.MAX_PARTICLES; i++) {
+      for (let i = 0; i < count && particles.length < limit; i++) {
         const x = Math.random() * canvas.width;
         const y = canvas.height * (0.6 + Math.random() * 0.3);
         particles.push(new Particle(x, y, 'bass'));
@@ -432,7 +684,7 @@
   
   // Render waveform visualization at bottom
   function renderWaveform() {
-    if (!ctx || !analyser || !timeData) return;
+    if (!ctx || !analyser || !timeData || !CONFIG.LAYERS.waveform) return;
     
     analyser.getByteTimeDomainData(timeData);
     
@@ -473,7 +725,7 @@
   
   // Render frequency bars at bottom
   function renderFrequencyBars() {
-    if (!ctx) return;
+    if (!ctx || !CONFIG.LAYERS.bars) return;
     
     const width = canvas.width;
     const height = canvas.height;
@@ -506,7 +758,7 @@
   
   // Beat flash effect
   function renderBeatFlash() {
-    if (!ctx || !beatState.isBeat) return;
+    if (!ctx || !beatState.isBeat || !CONFIG.LAYERS.flash) return;
     
     const gradient = ctx.createRadialGradient(
       canvas.width / 2, canvas.height / 2, 0,
@@ -522,6 +774,544 @@
     ctx.fillRect(0, 0, canvas.width, canvas.height);
   }
 
+  // ============================================
+  // WEBGL RENDERER
+  // ============================================
+  // Draws the same layers as the Canvas 2D path with shaders:
+  //   scene pass     - aurora layers and orbs on a full-screen quad
+  //   particle pass  - point sprites with a radial glow
+  //   flash pass     - beat flash, blended over the particles
+  //   shape pass     - frequency bars and waveform as colored triangles
+  // On software GL (no GPU) the canvas renders at reduced resolution with
+  // a lower frame rate and only the main aurora wave.
+
+  const GL_SHADERS = {
+    quadVertex: `
+      attribute vec2 aPosition;
+      void main() {
+        gl_Position = vec4(aPosition, 0.0, 1.0);
+      }
+    `,
+
+    sceneFragment: `
+      precision mediump float;
+      uniform vec2 uResolution;
+      uniform vec3 uDominant;
+      uniform vec4 uAurora[4];       // level, baseY, amplitude, phase
+      uniform vec3 uAuroraColor[4];
+      uniform vec4 uOrbs[5];         // x, y, radius, opacity
+      uniform float uDetail;         // 1 = all aurora waves, 0 = main wave only
+      uniform float uFlash;          // beat flash intensity
+      uniform int uPass;             // 0 = background, 1 = beat flash
+
+      float ramp(float t, float a, float b, float c, float d) {
+        // Piecewise gradient with stops at 0, 0.3, 0.6 and 1 (aurora)
+        if (t < 0.3) return mix(a, b, t / 0.3);
+        if (t < 0.6) return mix(b, c, (t - 0.3) / 0.3);
+        return mix(c, d, (t - 0.6) / 0.4);
+      }
+
+      void main() {
+        vec2 p = vec2(gl_FragCoord.x, uResolution.y - gl_FragCoord.y);
+        float u = p.x / uResolution.x;
+
+        if (uPass == 1) {
+          // Radial flash: white at the center fading through the dominant color
+          float d = distance(p, uResolution * 0.5) / (uResolution.x * 0.8);
+          if (d >= 1.0) discard;
+          vec3 color = d < 0.5 ? mix(vec3(1.0), uDominant, d / 0.5) : uDominant;
+          float alpha = d < 0.5 ? mix(uFlash, uFlash * 0.5, d / 0.5) : mix(uFlash * 0.5, 0.0, (d - 0.5) / 0.5);
+          gl_FragColor = vec4(color, alpha);
+          return;
+        }
+
+        vec3 color = vec3(0.0);
+
+        for (int i = 0; i < 4; i++) {
+          vec4 layer = uAurora[i];
+          if (layer.x <= 0.0) continue;
+          float a = layer.z;
+          float wave = sin(u * 6.2831853 + layer.w) * a;
+          wave += uDetail * (sin(u * 12.5663706 + layer.w * 1.3) * a * 0.5 +
+                             sin(u * 18.8495559 + layer.w * 0.7) * a * 0.3);
+          float edge = layer.y + wave;
+          float inside = smoothstep(edge - 1.0, edge + 1.0, p.y);
+          float top = layer.y - a * 2.0;
+          float t = clamp((p.y - top) / max(uResolution.y - top, 1.0), 0.0, 1.0);
+          float alpha = inside * ramp(t, 0.0, layer.x * 0.3, layer.x * 0.15, 0.0);
+          color = mix(color, uAuroraColor[i], alpha);
+        }
+
+        for (int i = 0; i < 5; i++) {
+          vec4 orb = uOrbs[i];
+          if (orb.w < 0.02) continue;
+          float d = distance(p, orb.xy) / orb.z;
+          if (d >= 1.0) continue;
+          float alpha = d < 0.4 ? mix(0.6, 0.3, d / 0.4)
+            : d < 0.7 ? mix(0.3, 0.1, (d - 0.4) / 0.3)
+            : mix(0.1, 0.0, (d - 0.7) / 0.3);
+          color = mix(color, uDominant, alpha * orb.w);
+        }
+
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+
+    particleVertex: `
+      attribute vec2 aPosition;
+      attribute float aSize;
+      attribute float aAlpha;
+      uniform vec2 uResolution;
+      varying float vAlpha;
+      void main() {
+        vec2 clip = aPosition / uResolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+        gl_PointSize = aSize;
+        vAlpha = aAlpha;
+      }
+    `,
+
+    particleFragment: `
+      precision mediump float;
+      uniform vec3 uDominant;
+      varying float vAlpha;
+      void main() {
+        float d = length(gl_PointCoord - 0.5) * 2.0;
+        if (d >= 1.0) discard;
+        vec3 color = d < 0.3 ? mix(vec3(1.0), uDominant, d / 0.3) : uDominant;
+        float alpha = d < 0.3 ? mix(vAlpha * 0.8, vAlpha * 0.5, d / 0.3) : mix(vAlpha * 0.5, 0.0, (d - 0.3) / 0.7);
+        gl_FragColor = vec4(color, alpha);
+      }
+    `,
+
+    shapeVertex: `
+      attribute vec2 aPosition;
+      attribute vec4 aColor;
+      uniform vec2 uResolution;
+      varying vec4 vColor;
+      void main() {
+        vec2 clip = aPosition / uResolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+        vColor = aColor;
+      }
+    `,
+
+    shapeFragment: `
+      precision mediump float;
+      varying vec4 vColor;
+      void main() {
+        gl_FragColor = vColor;
+      }
+    `
+  };
+
+  function compileProgram(gl, vertexSource, fragmentSource) {
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader) || 'Shader compile failed');
+      }
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program) || 'Program link failed');
+    }
+
+    // Look up every attribute and uniform once
+    const info = { program, attributes: {}, uniforms: {} };
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES); i++) {
+      const { name } = gl.getActiveAttrib(program, i);
+      info.attributes[name] = gl.getAttribLocation(program, name);
+    }
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+      const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+      info.uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return info;
+  }
+
+  // Software renderers (SwiftShader, llvmpipe...) are usable but slow
+  function isSoftwareGL(gl) {
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    const name = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+    return /swiftshader|llvmpipe|softpipe|software|basic render/i.test(String(name));
+  }
+
+  // Returns a renderer, or null when WebGL is unavailable
+  function createWebGLRenderer(canvasEl) {
+    const attributes = { alpha: false, antialias: false, depth: false, premultipliedAlpha: false };
+
+    // Ask for a hardware context first so software GL can be detected
+    let gl = canvasEl.getContext('webgl', { ...attributes, failIfMajorPerformanceCaveat: true });
+    let software = false;
+    if (!gl) {
+      gl = canvasEl.getContext('webgl', attributes);
+      software = !!gl;
+    }
+    if (!gl) return null;
+    software = software || isSoftwareGL(gl);
+
+    let programs;
+    try {
+      programs = {
+        scene: compileProgram(gl, GL_SHADERS.quadVertex, GL_SHADERS.sceneFragment),
+        particle: compileProgram(gl, GL_SHADERS.particleVertex, GL_SHADERS.particleFragment),
+        shape: compileProgram(gl, GL_SHADERS.shapeVertex, GL_SHADERS.shapeFragment)
+      };
+    } catch (error) {
+      console.warn('[Living BG Pro] WebGL shaders failed:', error.message);
+      return null;
+    }
+
+    const quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const dynamicBuffer = gl.createBuffer();
+
+    const auroraData = new Float32Array(16);
+    const auroraColors = new Float32Array(12);
+    const orbData = new Float32Array(20);
+
+    function dominant() {
+      return [dominantColor.r / 255, dominantColor.g / 255, dominantColor.b / 255];
+    }
+
+    // Bind interleaved float attributes: layout is [[name, size], ...]
+    function bindAttributes(info, layout) {
+      const stride = layout.reduce((sum, [, size]) => sum + size, 0) * 4;
+      let offset = 0;
+      for (const [name, size] of layout) {
+        const location = info.attributes[name];
+        if (location !== undefined && location >= 0) {
+          gl.enableVertexAttribArray(location);
+          gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+        }
+        offset += size * 4;
+      }
+    }
+
+    function disableAttributes(info) {
+      Object.values(info.attributes).forEach(location => gl.disableVertexAttribArray(location));
+    }
+
+    function drawQuad(pass) {
+      const info = programs.scene;
+      gl.useProgram(info.program);
+      gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+      bindAttributes(info, [['aPosition', 2]]);
+      gl.uniform2f(info.uniforms.uResolution, canvasEl.width, canvasEl.height);
+      gl.uniform3fv(info.uniforms.uDominant, dominant());
+      gl.uniform1i(info.uniforms.uPass, pass);
+
+      if (pass === 0) {
+        gl.uniform4fv(info.uniforms.uAurora, auroraData);
+        gl.uniform3fv(info.uniforms.uAuroraColor, auroraColors);
+        gl.uniform4fv(info.uniforms.uOrbs, orbData);
+        gl.uniform1f(info.uniforms.uDetail, software ? 0 : 1);
+      } else {
+        gl.uniform1f(info.uniforms.uFlash, Math.min(smoothedLevels.bass * 0.3, 0.2));
+      }
+
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      disableAttributes(info);
+    }
+
+    function updateSceneUniforms() {
+      const height = canvasEl.height;
+      AURORA_LAYERS.forEach((layer, i) => {
+        const level = smoothedLevels[layer.band];
+        const color = auroraLayerColor(layer);
+        auroraData.set([
+          level < 0.05 || i >= quality().layers || !CONFIG.LAYERS.aurora ? 0 : level,
+          height * layer.yOffset,
+          height * layer.amplitude * level,
+          auroraPhase * layer.speed
+        ], i * 4);
+        auroraColors.set([color.r / 255, color.g / 255, color.b / 255], i * 3);
+      });
+
+      orbs.forEach((orb, i) => {
+        updateOrbOpacity(orb);
+        const baseRadius = Math.min(canvasEl.width, canvasEl.height) * orb.radius;
+        const radius = baseRadius * (0.8 + smoothedLevels[orb.band] * 0.4) * (1 + beatPulse() * 0.08);
+        orbData.set([canvasEl.width * orb.x, height * orb.y, radius, CONFIG.LAYERS.orbs ? orb.opacity : 0], i * 4);
+      });
+    }
+
+    function drawParticles() {
+      if (particles.length === 0) return;
+
+      const data = new Float32Array(particles.length * 4);
+      particles.forEach((particle, i) => {
+        const size = particle.size * (0.5 + particle.life * 0.5);
+        // The 2D glow reaches twice the particle size in every direction
+        data.set([particle.x, particle.y, size * 4, Math.pow(particle.life, 0.5)], i * 4);
+      });
+
+      const info = programs.particle;
+      gl.useProgram(info.program);
+      gl.bindBuffer(gl.ARRAY_BUFFER, dynamicBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, data, gl.STREAM_DRAW);
+      bindAttributes(info, [['aPosition', 2], ['aSize', 1], ['aAlpha', 1]]);
+      gl.uniform2f(info.uniforms.uResolution, canvasEl.width, canvasEl.height);
+      gl.uniform3fv(info.uniforms.uDominant, dominant());
+      gl.drawArrays(gl.POINTS, 0, particles.length);
+      disableAttributes(info);
+    }
+
+    // vertices: flat [x, y, r, g, b, a, ...]
+    function drawShape(vertices, mode) {
+      const info = programs.shape;
+      gl.useProgram(info.program);
+      gl.bindBuffer(gl.ARRAY_BUFFER, dynamicBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STREAM_DRAW);
+      bindAttributes(info, [['aPosition', 2], ['aColor', 4]]);
+      gl.uniform2f(info.uniforms.uResolution, canvasEl.width, canvasEl.height);
+      gl.drawArrays(mode, 0, vertices.length / 6);
+      disableAttributes(info);
+    }
+
+    function pushRect(vertices, x, y, w, h, bottomAlpha, topAlpha) {
+      const [r, g, b] = dominant();
+      // Two triangles; the top edge (y) gets topAlpha
+      vertices.push(
+        x, y + h, r, g, b, bottomAlpha,
+        x + w, y + h, r, g, b, bottomAlpha,
+        x, y, r, g, b, topAlpha,
+        x, y, r, g, b, topAlpha,
+        x + w, y + h, r, g, b, bottomAlpha,
+        x + w, y, r, g, b, topAlpha
+      );
+    }
+
+    function drawFrequencyBars() {
+      const width = canvasEl.width;
+      const barHeight = 60 * renderScale;
+      const baseY = canvasEl.height - 10 * renderScale;
+      const bands = ['subBass', 'bass', 'lowMids', 'mids', 'highMids', 'treble'];
+      const gap = 4 * renderScale;
+      const barWidth = width / bands.length - gap;
+
+      const vertices = [];
+      bands.forEach((band, i) => {
+        const h = smoothedLevels[band] * barHeight;
+        const x = i * (barWidth + gap) + gap / 2;
+        pushRect(vertices, x, baseY - h, barWidth, h, 0.8, 0.2);
+        pushRect(vertices, x, baseY - h, barWidth, 2 * renderScale, 0.8, 0.8);
+      });
+      drawShape(vertices, gl.TRIANGLES);
+    }
+
+    // Waveform as a triangle strip: a wide faint glow, then the line itself
+    function drawWaveform() {
+      if (!analyser || !timeData) return;
+      analyser.getByteTimeDomainData(timeData);
+
+      const width = canvasEl.width;
+      const height = canvasEl.height;
+      const waveHeight = height * 0.08;
+      const baseY = height - waveHeight / 2 - 20 * renderScale;
+      const [r, g, b] = dominant();
+      const step = software ? 4 : 1;
+
+      const strip = (thickness, alpha) => {
+        const vertices = [];
+        for (let i = 0; i < timeData.length; i += step) {
+          const x = (i / timeData.length) * width;
+          const y = baseY + (timeData[i] / 128.0 - 1) * waveHeight;
+          vertices.push(x, y - thickness, r, g, b, alpha, x, y + thickness, r, g, b, alpha);
+        }
+        drawShape(vertices, gl.TRIANGLE_STRIP);
+      };
+
+      strip(5 * renderScale, 0.12);
+      strip(1 * renderScale, 0.4);
+    }
+
+    function render() {
+      gl.viewport(0, 0, canvasEl.width, canvasEl.height);
+
+      advanceAurora();
+      updateSceneUniforms();
+
+      gl.disable(gl.BLEND);
+      drawQuad(0);
+
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      drawParticles();
+      if (beatState.isBeat && CONFIG.LAYERS.flash) drawQuad(1);
+      if (CONFIG.LAYERS.bars) drawFrequencyBars();
+      if (CONFIG.LAYERS.waveform) drawWaveform();
+    }
+
+    return {
+      software,
+      render,
+      resize: () => gl.viewport(0, 0, canvasEl.width, canvasEl.height)
+    };
+  }
+
+  // Pick WebGL when allowed and available, otherwise Canvas 2D
+  function chooseRenderer() {
+    if (CONFIG.RENDERER !== 'canvas') {
+      glRenderer = createWebGLRenderer(canvas);
+    }
+
+    if (glRenderer) {
+      baseScale = glRenderer.software ? CONFIG.SOFTWARE_GL_SCALE : 1;
+      targetFPS = glRenderer.software ? CONFIG.SOFTWARE_GL_FPS : CONFIG.TARGET_FPS;
+      canvas.addEventListener('webglcontextlost', handleContextLost, { once: true });
+      console.log(`[Living BG Pro] Using WebGL renderer${glRenderer.software ? ' (software mode)' : ''}`);
+      return;
+    }
+
+    useCanvas2D();
+    console.log('[Living BG Pro] Using Canvas 2D renderer');
+  }
+
+  function useCanvas2D() {
+    glRenderer = null;
+    baseScale = 1;
+    targetFPS = CONFIG.TARGET_FPS;
+    ctx = canvas.getContext('2d');
+
+    // A canvas that already has a WebGL context can't switch, so swap the element
+    if (!ctx) {
+      const replacement = document.createElement('canvas');
+      replacement.id = 'living-bg-canvas';
+      canvas.replaceWith(replacement);
+      canvas = replacement;
+      ctx = canvas.getContext('2d');
+    }
+  }
+
+  function handleContextLost(event) {
+    event.preventDefault();
+    console.warn('[Living BG Pro] WebGL context lost, falling back to Canvas 2D');
+    useCanvas2D();
+    resizeCanvas();
+  }
+
+  // ============================================
+  // QUALITY GOVERNOR
+  // ============================================
+  // Watches frame times and steps through quality tiers: down when the
+  // frame rate drops under CONFIG.MIN_FPS, back up once frames are cheap
+  // again for a while. Tier 0 is full quality.
+
+  const QUALITY_TIERS = [
+    { name: 'Ultra', particles: 1, scale: 1, layers: 4, fftSize: CONFIG.FFT_SIZE },
+    { name: 'High', particles: 0.7, scale: 0.85, layers: 4, fftSize: 2048 },
+    { name: 'Medium', particles: 0.45, scale: 0.7, layers: 3, fftSize: 1024 },
+    { name: 'Low', particles: 0.25, scale: 0.55, layers: 2, fftSize: 1024 },
+    { name: 'Minimal', particles: 0.1, scale: 0.4, layers: 1, fftSize: 512 }
+  ];
+
+  const GOVERNOR = {
+    WINDOW_MS: 2000,          // Frame times are averaged over this window
+    UPGRADE_WINDOWS: 3,       // Consecutive good windows before stepping up
+    HEADROOM: 0.5,            // Work time below this share of the frame budget is "cheap"
+    MAX_GAP_MS: 250           // Longer gaps (hidden window, breakpoints) are ignored
+  };
+
+  let qualityTier = 0;
+  let governorWindow = { start: 0, frames: 0, frameTime: 0, workTime: 0 };
+  let goodWindows = 0;
+
+  function quality() {
+    return QUALITY_TIERS[qualityTier];
+  }
+  
+  // Particle limit for the current preset and tier
+  function maxParticles() {
+    return Math.round(CONFIG.MAX_PARTICLES * quality().particles);
+  }
+
+  function resetGovernor() {
+    governorWindow = { start: performance.now(), frames: 0, frameTime: 0, workTime: 0 };
+    goodWindows = 0;
+  }
+
+  // Record one rendered frame: its interval and the time spent drawing it
+  function governFrame(frameTime, workTime) {
+    if (frameTime > GOVERNOR.MAX_GAP_MS) {
+      resetGovernor();
+      return;
+    }
+
+    governorWindow.frames++;
+    governorWindow.frameTime += frameTime;
+    governorWindow.workTime += workTime;
+
+    const now = performance.now();
+    if (now - governorWindow.start < GOVERNOR.WINDOW_MS) return;
+
+    const fps = 1000 / (governorWindow.frameTime / governorWindow.frames);
+    const work = governorWindow.workTime / governorWindow.frames;
+    resetGovernor();
+
+    // Software GL has a lower frame rate cap, so judge it against that cap
+    const minFPS = Math.min(CONFIG.MIN_FPS, targetFPS * 0.8);
+    const budget = 1000 / targetFPS;
+
+    if (fps < minFPS && qualityTier < QUALITY_TIERS.length - 1) {
+      setQualityTier(qualityTier + 1, fps);
+    } else if (fps >= targetFPS * 0.9 && work < budget * GOVERNOR.HEADROOM && qualityTier > 0) {
+      goodWindows++;
+      if (goodWindows >= GOVERNOR.UPGRADE_WINDOWS) {
+        setQualityTier(qualityTier - 1, fps);
+      }
+    } else {
+      goodWindows = 0;
+    }
+
+    updateQualityIndicator(fps);
+  }
+
+  function setQualityTier(tier, fps) {
+    const previous = quality();
+    qualityTier = tier;
+    goodWindows = 0;
+
+    const next = quality();
+    console.log(`[Living BG Pro] Quality ${previous.name} → ${next.name} (${Math.round(fps)} FPS)`);
+
+    const limit = maxParticles();
+    if (particles.length > limit) {
+      particles.splice(0, particles.length - limit);
+    }
+    if (next.scale !== previous.scale) {
+      resizeCanvas();
+    }
+    if (next.fftSize !== previous.fftSize) {
+      applyFFTSize();
+    }
+  }
+
+  // Changing fftSize changes the bin count, so the data buffers follow
+  function applyFFTSize() {
+    if (!analyser) return;
+    analyser.fftSize = quality().fftSize;
+    frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    timeData = new Uint8Array(analyser.frequencyBinCount);
+  }
+
+  function updateQualityIndicator(fps) {
+    const indicator = document.getElementById('living-bg-quality');
+    if (!indicator) return;
+
+    indicator.textContent = `${quality().name} · ${Math.round(fps)} FPS`;
+    indicator.dataset.tier = String(qualityTier);
+  }
+
   // ============================================
   // MAIN RENDER LOOP
   // ============================================
@@ -536,6 +1326,9 @@
     
     // Calculate delta time
     const deltaTime = timestamp - lastFrameTime;
+    
+    // Skip frame if too fast (simple throttle)
+    if (deltaTime < 1000 / targetFPS - 2) return;
     lastFrameTime = timestamp;
     
     // FPS calculation
@@ -544,73 +1337,62 @@
       currentFPS = 1000 / deltaTime;
     }
     
-    // Skip frame if too fast (simple throttle)
-    if (deltaTime < 1000 / CONFIG.TARGET_FPS - 2) return;
+    const workStart = performance.now();
     
     // Analyze audio
     analyzeFrequencyBands();
     detectBeat();
     
-    // Render visuals
-    renderAurora(timestamp);
-    renderOrbs(timestamp);
-    spawnParticles();
-    updateParticles(deltaTime);
-    renderBeatFlash();
-    renderFrequencyBars();
-    renderWaveform();
+    if (glRenderer) {
+      spawnParticles();
+      particles = particles.filter(p => p.update(deltaTime));
+      glRenderer.render();
+    } else {
+      // Render visuals
+      renderAurora(timestamp);
+      renderOrbs(timestamp);
+      spawnParticles();
+      updateParticles(deltaTime);
+      renderBeatFlash();
+      renderFrequencyBars();
+      renderWaveform();
+    }
+    
+    governFrame(deltaTime, performance.now() - workStart);
   }
 
   // ============================================
   // AUDIO CONNECTION
   // ============================================
   
+  // The audio engine owns the Web Audio graph (and the EQ in it); the
+  // visualizer only taps its output with an analyser
   async function connectAudio() {
     if (isConnected) return;
 
-    const video = document.querySelector('video');
-    if (!video) {
-      console.log('[Living BG Pro] No video element found, retrying...');
+    const engine = window.__ytAudioEngine;
+    if (!engine) {
+      console.log('[Living BG Pro] Audio engine not loaded');
       return;
     }
 
-    if (video.__livingBgProConnected) {
-      console.log('[Living BG Pro] Video already connected, reusing...');
-      isConnected = true;
+    const tap = engine.createAnalyser();
+    if (!tap) {
+      console.log('[Living BG Pro] No video element found, retrying...');
       return;
     }
 
-    try {
-      if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      }
-
-      analyser = audioContext.createAnalyser();
-      analyser.fftSize = CONFIG.FFT_SIZE;
-      analyser.smoothingTimeConstant = CONFIG.SMOOTHING;
-
-      const audioSource = audioContext.createMediaElementSource(video);
-      audioSource.connect(analyser);
-      analyser.connect(audioContext.destination);
+    audioContext = engine.getContext();
+    analyser = tap;
+    analyser.fftSize = quality().fftSize;
+    analyser.smoothingTimeConstant = CONFIG.SMOOTHING;
 
-      video.__livingBgProConnected = true;
+    frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    timeData = new Uint8Array(analyser.frequencyBinCount);
 
-      frequencyData = new Uint8Array(analyser.frequencyBinCount);
-      timeData = new Uint8Array(analyser.frequencyBinCount);
-
-      isConnected = true;
-      console.log('[Living BG Pro] ✓ Audio connected successfully!');
-      console.log(`[Living BG Pro] Sample rate: ${audioContext.sampleRate}Hz, FFT bins: ${analyser.frequencyBinCount}`);
-
-    } catch (error) {
-      if (error.message && error.message.includes('already connected')) {
-        console.log('[Living BG Pro] Video was already connected');
-        video.__livingBgProConnected = true;
-        isConnected = true;
-      } else {
-        console.error('[Living BG Pro] Audio connection error:', error);
-      }
-    }
+    isConnected = true;
+    console.log('[Living BG Pro] ✓ Audio connected successfully!');
+    console.log(`[Living BG Pro] Sample rate: ${audioContext.sampleRate}Hz, FFT bins: ${analyser.frequencyBinCount}`);
   }
 
   // ============================================
@@ -717,6 +1499,10 @@
     canvasEl.id = 'living-bg-canvas';
     container.appendChild(canvasEl);
     
+    const qualityEl = document.createElement('div');
+    qualityEl.id = 'living-bg-quality';
+    container.appendChild(qualityEl);
+    
     document.body.appendChild(container);
     console.log('[Living BG Pro] Background element created');
   }
@@ -794,8 +1580,39 @@
         background: #ffffff;
       }
 
+      /* === PRESET PICKER === */
+      #living-bg-preset {
+        max-width: 120px;
+        padding: 3px 6px;
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid transparent;
+        border-radius: 10px;
+        color: rgba(255, 255, 255, 0.8);
+        font-size: 11px;
+        font-family: inherit;
+        outline: none;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+      
+      #living-bg-preset:hover {
+        background: rgba(255, 255, 255, 0.2);
+      }
+      
+      #living-bg-preset.error {
+        border-color: rgba(255, 77, 77, 0.8);
+      }
+      
+      #living-bg-preset option,
+      #living-bg-preset optgroup {
+        background: #1a1a1a;
+        color: #ffffff;
+      }
+
       /* === MINI PLAYER BUTTON === */
-      #mini-player-btn {
+      #mini-player-btn,
+      #living-bg-eq-btn,
+      #living-bg-sleep-btn {
         display: flex;
         align-items: center;
         gap: 4px;
@@ -811,14 +1628,24 @@
         margin-right: 8px;
       }
       
-      #mini-player-btn:hover {
+      #mini-player-btn:hover,
+      #living-bg-eq-btn:hover,
+      #living-bg-sleep-btn:hover {
         background: rgba(255, 255, 255, 0.2);
         color: #ffffff;
       }
       
-      #mini-player-btn:active {
+      #mini-player-btn:active,
+      #living-bg-eq-btn:active,
+      #living-bg-sleep-btn:active {
         transform: scale(0.95);
       }
+      
+      #living-bg-sleep-btn.active {
+        background: linear-gradient(135deg, #667eea, #764ba2);
+        color: #ffffff;
+        font-variant-numeric: tabular-nums;
+      }
 
       /* === LIVING BG CONTAINER === */
       #living-bg-pro {
@@ -833,11 +1660,40 @@
         background: #000;
       }
       
+      /* Raised above the page, under the lyrics stage */
+      #living-bg-pro.stage {
+        z-index: 10000;
+      }
+      
       #living-bg-canvas {
         width: 100%;
         height: 100%;
         display: block;
       }
+      
+      /* Quality tier chosen by the governor */
+      #living-bg-quality {
+        position: absolute;
+        right: 12px;
+        bottom: 84px;
+        padding: 2px 8px;
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.4);
+        color: rgba(255, 255, 255, 0.5);
+        font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', sans-serif;
+        font-size: 10px;
+        font-variant-numeric: tabular-nums;
+        letter-spacing: 0.02em;
+      }
+      
+      #living-bg-quality:empty {
+        display: none;
+      }
+      
+      #living-bg-quality[data-tier="3"],
+      #living-bg-quality[data-tier="4"] {
+        color: rgba(255, 190, 120, 0.7);
+      }
 
       /* === MAKE YT MUSIC TRANSPARENT === */
       html, body {
@@ -937,6 +1793,17 @@
       }
     });
 
+    // Equalizer Button
+    const eqBtn = document.createElement('button');
+    eqBtn.id = 'living-bg-eq-btn';
+    eqBtn.title = 'Equalizer';
+    eqBtn.textContent = 'EQ';
+    eqBtn.addEventListener('click', () => {
+      if (window.__ytAudioEngine) {
+        window.__ytAudioEngine.togglePanel();
+      }
+    });
+
     const label = document.createElement('span');
     label.id = 'living-bg-toggle-label';
     label.textContent = 'Living BG';
@@ -958,6 +1825,9 @@
     });
 
     container.appendChild(miniPlayerBtn);
+    container.appendChild(eqBtn);
+    container.appendChild(createSleepTimerButton());
+    container.appendChild(createPresetPicker());
     container.appendChild(label);
     container.appendChild(toggle);
     document.body.appendChild(container);
@@ -965,6 +1835,206 @@
     console.log('[Living BG Pro] Toggle switch created');
   }
 
+  // ============================================
+  // VISUALIZER PRESETS
+  // ============================================
+  // Presets come from main (built-ins plus JSON files in the app data
+  // folder) and only list what they change, so each one is applied over
+  // the defaults captured below.
+
+  const DEFAULT_TUNING = JSON.parse(JSON.stringify({
+    SMOOTHING: CONFIG.SMOOTHING,
+    MAX_PARTICLES: CONFIG.MAX_PARTICLES,
+    LAYERS: CONFIG.LAYERS,
+    FREQ_BANDS: CONFIG.FREQ_BANDS
+  }));
+
+  const PRESET_ACTIONS = {
+    import: 'Import preset…',
+    export: 'Export current preset…',
+    delete: 'Delete current preset'
+  };
+
+  let presetList = [];
+  let activePresetId = 'default';
+
+  function applyPreset(preset) {
+    const tuning = JSON.parse(JSON.stringify(DEFAULT_TUNING));
+    preset = preset || {};
+
+    if (typeof preset.smoothing === 'number') tuning.SMOOTHING = preset.smoothing;
+    if (typeof preset.maxParticles === 'number') tuning.MAX_PARTICLES = preset.maxParticles;
+    Object.assign(tuning.LAYERS, preset.layers);
+    for (const [key, band] of Object.entries(preset.bands || {})) {
+      if (tuning.FREQ_BANDS[key]) Object.assign(tuning.FREQ_BANDS[key], band);
+    }
+    Object.assign(CONFIG, tuning);
+
+    if (analyser) {
+      analyser.smoothingTimeConstant = CONFIG.SMOOTHING;
+    }
+    const limit = maxParticles();
+    if (particles.length > limit) {
+      particles.splice(0, particles.length - limit);
+    }
+
+    console.log(`[Living BG Pro] Preset: ${preset.name || 'Default'}`);
+  }
+
+  // result: { presets?, id, preset } as returned by main
+  function handlePresetResult(result) {
+    if (!result || !result.preset) return;
+    if (result.presets) presetList = result.presets;
+    activePresetId = result.id;
+    applyPreset(result.preset);
+    updatePresetPicker();
+  }
+
+  async function loadPresets() {
+    if (!window.ytMusicApp?.invoke) return;
+    try {
+      handlePresetResult(await window.ytMusicApp.invoke('visualizer-presets'));
+    } catch (e) {
+      console.log('[Living BG Pro] Could not load presets:', e.message);
+    }
+  }
+
+  // Briefly mark the picker and show the error in its tooltip
+  function showPresetError(message) {
+    console.log(`[Living BG Pro] ${message}`);
+    const picker = document.getElementById('living-bg-preset');
+    if (!picker) return;
+
+    picker.classList.add('error');
+    picker.title = message;
+    setTimeout(() => {
+      picker.classList.remove('error');
+      picker.title = 'Visualizer Preset';
+    }, 4000);
+  }
+
+  async function runPresetAction(action) {
+    if (action === 'import') {
+      const result = await window.ytMusicApp.invoke('visualizer-preset-import');
+      if (result.ok) {
+        handlePresetResult(result);
+      } else if (result.error !== 'Canceled') {
+        showPresetError(`Could not import preset: ${result.error}`);
+      }
+    } else if (action === 'export') {
+      const result = await window.ytMusicApp.invoke('visualizer-preset-export', activePresetId);
+      if (result.ok) {
+        console.log('[Living BG Pro] ✓ Preset exported to', result.file);
+      } else if (result.error !== 'Canceled') {
+        showPresetError(`Could not export preset: ${result.error}`);
+      }
+    } else if (action === 'delete') {
+      handlePresetResult(await window.ytMusicApp.invoke('visualizer-preset-delete', activePresetId));
+    }
+  }
+
+  function updatePresetPicker() {
+    const picker = document.getElementById('living-bg-preset');
+    if (!picker) return;
+
+    picker.textContent = '';
+
+    const addOption = (parent, value, text) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      parent.appendChild(option);
+    };
+
+    const builtIn = presetList.filter(p => p.builtIn);
+    const user = presetList.filter(p => !p.builtIn);
+    builtIn.forEach(p => addOption(picker, p.id, p.name));
+
+    if (user.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'My Presets';
+      user.forEach(p => addOption(group, p.id, p.name));
+      picker.appendChild(group);
+    }
+
+    const actions = document.createElement('optgroup');
+    actions.label = 'Manage';
+    addOption(actions, 'action:import', PRESET_ACTIONS.import);
+    addOption(actions, 'action:export', PRESET_ACTIONS.export);
+    if (activePresetId.startsWith('user:')) {
+      addOption(actions, 'action:delete', PRESET_ACTIONS.delete);
+    }
+    picker.appendChild(actions);
+
+    picker.value = activePresetId;
+  }
+
+  function createPresetPicker() {
+    const picker = document.createElement('select');
+    picker.id = 'living-bg-preset';
+    picker.title = 'Visualizer Preset';
+    picker.setAttribute('aria-label', 'Visualizer Preset');
+
+    picker.addEventListener('change', async () => {
+      const value = picker.value;
+      // Actions are one-shot; the picker keeps showing the active preset
+      picker.value = activePresetId;
+      if (!window.ytMusicApp?.invoke) return;
+
+      try {
+        if (value.startsWith('action:')) {
+          await runPresetAction(value.slice('action:'.length));
+        } else {
+          handlePresetResult(await window.ytMusicApp.invoke('visualizer-preset-select', value));
+        }
+      } catch (e) {
+        console.log('[Living BG Pro] Preset change failed:', e.message);
+      }
+    });
+
+    return picker;
+  }
+
+  // ============================================
+  // SLEEP TIMER
+  // ============================================
+  // The timer runs in main; this button opens its menu and shows the countdown.
+
+  function formatSleepTimer(status) {
+    if (status.remaining === null) return `${status.tracksLeft} tracks`;
+    const minutes = Math.floor(status.remaining / 60);
+    const seconds = String(status.remaining % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  function updateSleepTimerButton(status) {
+    const button = document.getElementById('living-bg-sleep-btn');
+    if (!button) return;
+
+    const active = !!(status && status.active);
+    button.classList.toggle('active', active);
+    button.textContent = active ? `☾ ${formatSleepTimer(status)}` : '☾';
+    button.title = active ? 'Sleep timer (click to change)' : 'Sleep Timer';
+  }
+
+  function createSleepTimerButton() {
+    const button = document.createElement('button');
+    button.id = 'living-bg-sleep-btn';
+    button.textContent = '☾';
+    button.title = 'Sleep Timer';
+    button.addEventListener('click', () => {
+      if (window.ytMusicApp && window.ytMusicApp.send) {
+        window.ytMusicApp.send('sleep-timer-menu');
+      }
+    });
+
+    if (window.ytMusicApp && window.ytMusicApp.receive) {
+      window.ytMusicApp.receive('sleep-timer', updateSleepTimerButton);
+    }
+
+    return button;
+  }
+
   // ============================================
   // ENABLE/DISABLE
   // ============================================
@@ -986,6 +2056,7 @@
 
     if (!animationId) {
       lastFrameTime = performance.now();
+      resetGovernor();
       animationId = requestAnimationFrame(render);
     }
   }
@@ -1006,60 +2077,192 @@
     particles = [];
   }
 
+  // ============================================
+  // LYRICS STAGE
+  // ============================================
+  // The fullscreen lyrics stage draws over these visuals; they are turned
+  // on for the stage if needed and turned back off when it closes.
+
+  let enabledForStage = false;
+
+  function handleLyricsStage(e) {
+    const active = !!(e.detail && e.detail.active);
+
+    const bg = document.getElementById('living-bg-pro');
+    if (bg) {
+      bg.classList.toggle('stage', active);
+    }
+
+    if (active && !isEnabled) {
+      isEnabled = true;
+      enabledForStage = true;
+      enableLivingBackground();
+    } else if (!active && enabledForStage) {
+      isEnabled = false;
+      enabledForStage = false;
+      disableLivingBackground();
+    }
+  }
+
   // ============================================
   // MINI PLAYER INTEGRATION
   // ============================================
   
-  function watchSongChanges() {
-    const updateTrackInfo = () => {
-      setTimeout(() => {
-        extractDominantColor();
+  function getThumbnail() {
+    const thumbnailSelectors = [
+      'ytmusic-player-bar .image img',
+      'ytmusic-player-bar img.image',
+      '.middle-controls .image img',
+      'ytmusic-player-bar .thumbnail img',
+      '#song-image img',
+      '.player-bar img'
+    ];
 
-        if (window.ytMusicApp && window.ytMusicApp.send) {
-          const titleEl = document.querySelector('.title.ytmusic-player-bar');
-          const artistEl = document.querySelector('.byline.ytmusic-player-bar');
-          const playBtn = document.querySelector('.play-pause-button');
-
-          let thumbnail = '';
-          const thumbnailSelectors = [
-            'ytmusic-player-bar .image img',
-            'ytmusic-player-bar img.image',
-            '.middle-controls .image img',
-            'ytmusic-player-bar .thumbnail img',
-            '#song-image img',
-            '.player-bar img'
-          ];
-
-          for (const selector of thumbnailSelectors) {
-            const el = document.querySelector(selector);
-            if (el && el.src) {
-              thumbnail = el.src;
-              break;
-            }
-          }
+    for (const selector of thumbnailSelectors) {
+      const el = document.querySelector(selector);
+      if (el && el.src) {
+        return el.src;
+      }
+    }
 
-          if (!thumbnail) {
-            const bgEl = document.querySelector('ytmusic-player-bar .image');
-            if (bgEl) {
-              const bgImage = window.getComputedStyle(bgEl).backgroundImage;
-              if (bgImage && bgImage !== 'none') {
-                thumbnail = bgImage.replace(/^url\(['"]?/, '').replace(/['"]?\)$/, '');
-              }
-            }
-          }
+    const bgEl = document.querySelector('ytmusic-player-bar .image');
+    if (bgEl) {
+      const bgImage = window.getComputedStyle(bgEl).backgroundImage;
+      if (bgImage && bgImage !== 'none') {
+        return bgImage.replace(/^url\(['"]?/, '').replace(/['"]?\)$/, '');
+      }
+    }
 
-          const isPlaying = playBtn?.getAttribute('title')?.toLowerCase().includes('pause') ||
-            playBtn?.getAttribute('aria-label')?.toLowerCase().includes('pause');
+    return '';
+  }
+
+  function parseTime(timeStr) {
+    const parts = timeStr.split(':').map(Number);
+    if (parts.length === 2) return parts[0] * 60 + parts[1];
+    if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    return 0;
+  }
 
-          const trackInfo = {
-            title: titleEl?.textContent?.trim() || 'Not Playing',
-            artist: artistEl?.textContent?.trim() || '-',
-            thumbnail: thumbnail,
-            isPlaying: isPlaying
-          };
+  // Byline looks like "Artist • Album • Year" (or "Artist • 1.2M views" for videos)
+  function getArtistAndAlbum() {
+    const bylineEl = document.querySelector('.byline.ytmusic-player-bar');
+    if (!bylineEl) return { artist: '', album: '' };
 
-          window.ytMusicApp.send('track-info-update', trackInfo);
-        }
+    const links = Array.from(bylineEl.querySelectorAll('a'));
+    const artistLinks = links.filter(a => (a.getAttribute('href') || '').includes('channel/'));
+    const albumLink = links.find(a => (a.getAttribute('href') || '').includes('browse/MPRE'));
+
+    let artist = artistLinks.map(a => a.textContent.trim()).filter(Boolean).join(', ');
+    if (!artist) {
+      artist = (bylineEl.textContent || '').split('•')[0].trim();
+    }
+
+    return {
+      artist,
+      album: albumLink ? albumLink.textContent.trim() : ''
+    };
+  }
+
+  function getRepeatMode(playerBar) {
+    const attr = playerBar?.getAttribute('repeat-mode_');
+    if (attr === 'NONE' || attr === 'ALL' || attr === 'ONE') return attr;
+
+    const repeatBtn = playerBar?.querySelector('.repeat');
+    const label = (repeatBtn?.getAttribute('title') || repeatBtn?.getAttribute('aria-label') || '').toLowerCase();
+    if (label.includes('one')) return 'ONE';
+    if (label.includes('all')) return 'ALL';
+    return 'NONE';
+  }
+
+  function getVideoId() {
+    const moviePlayer = document.querySelector('#movie_player');
+    if (moviePlayer && typeof moviePlayer.getVideoData === 'function') {
+      const id = moviePlayer.getVideoData()?.video_id;
+      if (id) return id;
+    }
+    return new URLSearchParams(window.location.search).get('v') || '';
+  }
+
+  function getQueuePosition() {
+    const items = Array.from(document.querySelectorAll('ytmusic-player-queue #contents > ytmusic-player-queue-item'));
+    return {
+      index: items.findIndex(item => item.hasAttribute('selected')),
+      length: items.length
+    };
+  }
+
+  // Structured snapshot of the player; main diffs it and broadcasts the changes
+  function readPlayerState() {
+    const playerBar = document.querySelector('ytmusic-player-bar');
+    const video = document.querySelector('video');
+    const moviePlayer = document.querySelector('#movie_player');
+    const titleEl = document.querySelector('.title.ytmusic-player-bar');
+    const playBtn = document.querySelector('.play-pause-button');
+
+    // Timing from the video element, falling back to the "0:00 / 3:45" label
+    let duration = video && Number.isFinite(video.duration) ? video.duration : 0;
+    let position = video ? video.currentTime : 0;
+    if (!duration) {
+      const timeInfo = document.querySelector('.time-info.ytmusic-player-bar');
+      const timeParts = (timeInfo?.textContent || '').split('/').map(t => t.trim());
+      if (timeParts.length === 2) {
+        position = parseTime(timeParts[0]);
+        duration = parseTime(timeParts[1]);
+      }
+    }
+
+    let isPlaying = playBtn?.getAttribute('title')?.toLowerCase().includes('pause') ||
+      playBtn?.getAttribute('aria-label')?.toLowerCase().includes('pause') || false;
+    if (video && video.currentSrc) {
+      isPlaying = !video.paused;
+    }
+
+    let volume = video ? Math.round(video.volume * 100) : 100;
+    let muted = video ? video.muted : false;
+    if (moviePlayer && typeof moviePlayer.getVolume === 'function') {
+      volume = moviePlayer.getVolume();
+      muted = moviePlayer.isMuted();
+    }
+
+    const shuffleBtn = playerBar?.querySelector('.shuffle');
+    const shuffle = !!playerBar?.hasAttribute('shuffle-on_') ||
+      shuffleBtn?.getAttribute('aria-pressed') === 'true';
+
+    const likeStatus = playerBar?.querySelector('ytmusic-like-button-renderer')?.getAttribute('like-status') || 'INDIFFERENT';
+
+    const { artist, album } = getArtistAndAlbum();
+
+    return {
+      videoId: getVideoId(),
+      title: titleEl?.textContent?.trim() || 'Not Playing',
+      artist: artist || '-',
+      album,
+      thumbnail: getThumbnail(),
+      duration,
+      position,
+      isPlaying,
+      volume,
+      muted,
+      shuffle,
+      repeatMode: getRepeatMode(playerBar),
+      likeStatus,
+      queuePosition: getQueuePosition(),
+      bpm: hasTempo() ? Math.round(tempo.bpm) : 0
+    };
+  }
+
+  function sendPlayerState() {
+    updateTempoTracking();
+    if (window.ytMusicApp && window.ytMusicApp.send) {
+      window.ytMusicApp.send('track-info-update', readPlayerState());
+    }
+  }
+
+  function watchSongChanges() {
+    const updateTrackInfo = () => {
+      setTimeout(() => {
+        extractDominantColor();
+        sendPlayerState();
       }, 500);
     };
 
@@ -1072,61 +2275,7 @@
     }
 
     // Progress and state updates
-    setInterval(() => {
-      if (window.ytMusicApp && window.ytMusicApp.send) {
-        const playBtn = document.querySelector('.play-pause-button');
-        const isPlaying = playBtn?.getAttribute('title')?.toLowerCase().includes('pause') ||
-          playBtn?.getAttribute('aria-label')?.toLowerCase().includes('pause');
-
-        const timeInfo = document.querySelector('.time-info.ytmusic-player-bar');
-        let currentTime = '0:00';
-        let totalTime = '0:00';
-        let progress = 0;
-
-        if (timeInfo) {
-          const timeText = timeInfo.textContent?.trim() || '';
-          const timeParts = timeText.split('/').map(t => t.trim());
-          if (timeParts.length === 2) {
-            currentTime = timeParts[0];
-            totalTime = timeParts[1];
-          }
-        }
-
-        const parseTime = (timeStr) => {
-          const parts = timeStr.split(':').map(Number);
-          if (parts.length === 2) return parts[0] * 60 + parts[1];
-          if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
-          return 0;
-        };
-
-        const currentSeconds = parseTime(currentTime);
-        const totalSeconds = parseTime(totalTime);
-        if (totalSeconds > 0) {
-          progress = Math.max(0, Math.min(100, (currentSeconds / totalSeconds) * 100));
-        }
-
-        let isLiked = false;
-        let isDisliked = false;
-        const playerBarEl = document.querySelector('ytmusic-player-bar');
-        if (playerBarEl) {
-          const likeButtonRenderer = playerBarEl.querySelector('ytmusic-like-button-renderer');
-          if (likeButtonRenderer) {
-            const likeStatus = likeButtonRenderer.getAttribute('like-status');
-            if (likeStatus === 'LIKE') isLiked = true;
-            else if (likeStatus === 'DISLIKE') isDisliked = true;
-          }
-        }
-
-        window.ytMusicApp.send('track-info-update', {
-          isPlaying,
-          currentTime,
-          totalTime,
-          progress,
-          isLiked,
-          isDisliked
-        });
-      }
-    }, 500);
+    setInterval(sendPlayerState, 500);
   }
 
   // ============================================
@@ -1150,6 +2299,7 @@
     injectStyles();
     createBackgroundElement();
     createToggleSwitch();
+    loadPresets();
 
     // Hidden by default
     const bg = document.getElementById('living-bg-pro');
@@ -1158,6 +2308,7 @@
     }
 
     setupInteractionHandler();
+    window.addEventListener('yt-lyrics-stage', handleLyricsStage);
 
     setTimeout(() => {
       watchSongChanges();
@@ -1,15 +1,34 @@
 // Synced Lyrics Enhancement for YouTube Music
 // Integrates directly into YouTube Music's native lyrics panel
-// Uses LRCLIB API for synced lyrics data
+// Lyrics come from a chain of providers (local files, LRCLIB, YouTube Music)
 
 (function () {
   'use strict';
 
+  // Prevent re-initialization
+  if (window.__ytLyricsInitialized) {
+    console.log('[YT Lyrics] Already initialized, skipping...');
+    return;
+  }
+  window.__ytLyricsInitialized = true;
+
   console.log('[YT Lyrics] Synced lyrics enhancement loading...');
 
-  const LRCLIB_API = 'https://lrclib.net/api/get';
+  const LRCLIB_GET_API = 'https://lrclib.net/api/get';
+  const LRCLIB_SEARCH_API = 'https://lrclib.net/api/search';
+  const DEFAULT_PROVIDER_ORDER = ['local', 'lrclib', 'lrclib-search', 'youtube'];
+  const DURATION_TOLERANCE = 3; // seconds a candidate may differ from the playing track
+  const OFFSET_STEP = 100;       // ms per nudge
+  const OFFSET_LARGE_STEP = 500; // ms per nudge with Shift
+
   let currentSong = { title: '', artist: '' };
   let syncedLyrics = [];
+  let lyricsSource = null; // { name, confidence, synced, meta, pinned } of the provider in use
+  let userOffset = 0;      // ms, per track; positive shows lyrics earlier (like [offset:])
+  let transliterations = []; // per line: { script, text } or null
+  let transliterationEnabled = { ja: true, ko: true, cyrillic: true, greek: true };
+  let lyricsMissing = false; // no provider had lyrics; the picker and editor stay reachable
+
   let lastActiveIndex = -1;
   let lyricsContainer = null;
 
@@ -121,6 +140,26 @@
         color: rgba(255, 255, 255, 0.22);
       }
       
+      /* Karaoke words (Enhanced LRC) */
+      .yt-sync-line.active .yt-sync-word {
+        color: rgba(255, 255, 255, 0.45);
+        transition: color 0.15s linear;
+      }
+      
+      .yt-sync-line.active .yt-sync-word.sung {
+        color: #ffffff;
+      }
+      
+      .yt-sync-line.active .yt-sync-word.singing {
+        color: transparent;
+        text-shadow: none;
+        background: linear-gradient(90deg,
+          #ffffff var(--word-progress, 0%),
+          rgba(255, 255, 255, 0.45) var(--word-progress, 0%));
+        -webkit-background-clip: text;
+        background-clip: text;
+      }
+      
       /* Synced badge */
       .yt-synced-badge {
         display: inline-flex;
@@ -141,6 +180,206 @@
         content: "♪";
         font-size: 14px;
       }
+      
+      /* Sync offset nudge controls */
+      .yt-sync-offset {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        margin: 0 0 16px 8px;
+        vertical-align: top;
+      }
+      
+      .yt-sync-offset-btn {
+        width: 26px;
+        height: 26px;
+        border: none;
+        border-radius: 13px;
+        background: rgba(255, 255, 255, 0.08);
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 15px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+      
+      .yt-sync-offset-btn:hover {
+        background: rgba(255, 255, 255, 0.18);
+        color: #ffffff;
+      }
+      
+      #yt-sync-offset-value {
+        min-width: 74px;
+        font-size: 11px;
+        text-align: center;
+        color: rgba(255, 255, 255, 0.55);
+        cursor: pointer;
+        user-select: none;
+      }
+      
+      .yt-lyrics-source {
+        font-weight: 500;
+        color: rgba(255, 255, 255, 0.5);
+        text-transform: none;
+        letter-spacing: 0;
+      }
+      
+      /* Romanized line under non-Latin lyrics */
+      .yt-sync-translit {
+        display: block;
+        margin-top: 2px;
+        font-size: 13px;
+        font-weight: 400;
+        line-height: 1.4;
+        opacity: 0.7;
+        text-shadow: none;
+      }
+      
+      #yt-synced-container.hide-translit-ja .yt-sync-translit[data-script="ja"],
+      #yt-synced-container.hide-translit-ko .yt-sync-translit[data-script="ko"],
+      #yt-synced-container.hide-translit-cyrillic .yt-sync-translit[data-script="cyrillic"],
+      #yt-synced-container.hide-translit-greek .yt-sync-translit[data-script="greek"] {
+        display: none;
+      }
+      
+      .yt-translit-toggles {
+        display: inline-flex;
+        gap: 4px;
+        margin: 0 0 16px 8px;
+        vertical-align: top;
+      }
+      
+      .yt-translit-toggle {
+        height: 26px;
+        padding: 0 10px;
+        border: none;
+        border-radius: 13px;
+        background: rgba(255, 255, 255, 0.18);
+        color: #ffffff;
+        font-size: 11px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+      
+      .yt-translit-toggle.off {
+        background: rgba(255, 255, 255, 0.06);
+        color: rgba(255, 255, 255, 0.45);
+      }
+      
+      /* Export buttons */
+      .yt-lyrics-export {
+        display: inline-flex;
+        gap: 4px;
+        margin: 0 0 16px 8px;
+        vertical-align: top;
+      }
+      
+      .yt-lyrics-export-btn {
+        height: 26px;
+        padding: 0 10px;
+        border: none;
+        border-radius: 13px;
+        background: rgba(255, 255, 255, 0.08);
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 11px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+      
+      .yt-lyrics-export-btn:hover {
+        background: rgba(255, 255, 255, 0.18);
+        color: #ffffff;
+      }
+      
+      .yt-lyrics-export-btn.error {
+        background: rgba(255, 77, 77, 0.25);
+        color: #ff8a8a;
+      }
+      
+      .yt-lyrics-export-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+      
+      /* Candidate picker */
+      .yt-lyrics-picker {
+        margin: 0 0 16px;
+        padding: 8px;
+        max-height: 240px;
+        overflow-y: auto;
+        border-radius: 12px;
+        background: rgba(255, 255, 255, 0.05);
+      }
+      
+      .yt-lyrics-picker-status {
+        padding: 8px;
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.55);
+      }
+      
+      .yt-lyrics-candidate {
+        padding: 8px 10px;
+        border-radius: 8px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+      
+      .yt-lyrics-candidate:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+      
+      .yt-lyrics-candidate.selected {
+        background: rgba(255, 82, 82, 0.15);
+      }
+      
+      .yt-lyrics-candidate-title {
+        font-size: 13px;
+        color: #ffffff;
+      }
+      
+      .yt-lyrics-candidate-details {
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.5);
+      }
+      
+      .yt-lyrics-picker-actions {
+        display: flex;
+        gap: 4px;
+        padding-top: 8px;
+      }
+      
+      /* Tap-to-sync editor */
+      .yt-lyrics-author {
+        margin: 0 0 16px;
+        padding: 8px;
+        border-radius: 12px;
+        background: rgba(255, 255, 255, 0.05);
+      }
+      
+      .yt-lyrics-author-text {
+        width: 100%;
+        min-height: 180px;
+        padding: 8px;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.25);
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 13px;
+        line-height: 1.5;
+        resize: vertical;
+        box-sizing: border-box;
+      }
+      
+      .yt-sync-line.untimed {
+        color: rgba(255, 255, 255, 0.5);
+        font-style: italic;
+      }
+      
+      /* Plain lyrics have no timing to seek to */
+      .yt-sync-line.plain {
+        color: rgba(255, 255, 255, 0.75);
+        cursor: default;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -161,7 +400,9 @@
       }
     }
 
-    return { title, artist };
+    const videoId = new URLSearchParams(window.location.search).get('v') || '';
+
+    return { title, artist, videoId };
   }
 
   function getCurrentTime() {
@@ -169,57 +410,524 @@
     return video ? video.currentTime : 0;
   }
 
-  async function fetchLyrics(title, artist) {
-    try {
-      const params = new URLSearchParams({
-        track_name: title,
-        artist_name: artist
-      });
+  // Playback time on the lyrics' clock (user offset applied)
+  function getLyricsTime() {
+    return getCurrentTime() + userOffset / 1000;
+  }
+
+  // Track length in whole seconds; waits briefly for the video metadata
+  async function getTrackDuration() {
+    for (let i = 0; i < 10; i++) {
+      const video = document.querySelector('video');
+      if (video && Number.isFinite(video.duration) && video.duration > 0) {
+        return Math.round(video.duration);
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return 0;
+  }
+
+  // ============================================
+  // LYRICS PROVIDERS
+  // ============================================
+  // Each provider resolves to { lines, synced, confidence } or null.
+  // Plain (unsynced) lines have no time.
+
+  function plainLines(text) {
+    return (text || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(text => ({ time: null, text }));
+  }
 
-      console.log('[YT Lyrics] Fetching:', title, '-', artist);
+  function hasTimedLines(lines) {
+    return lines.some(line => line.time !== null);
+  }
+
+  function normalizeForMatch(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // ============================================
+  // TRACK MATCHING
+  // ============================================
+  // Player-bar titles carry noise like "(feat. X)", "- Remastered 2011" or
+  // "(Official Video)", and the byline can hold several artists plus view
+  // counts. These helpers build a clean query and score search candidates.
+
+  const TITLE_NOISE = [
+    // Bracketed extras: (feat. X), [Official Video], (Remastered 2011), (Lyrics)...
+    /\s*[([{][^)\]}]*\b(feat|ft|featuring|with|official|video|audio|lyrics?|visualizer|remaster(ed)?|mv|m\/v|hd|hq|4k|explicit|clean|version|edit|mono|stereo|prod)\b[^)\]}]*[)\]}]/gi,
+    // Trailing "- Remastered 2011", "- 2009 Remaster", "- Radio Edit", "- Single Version"
+    /\s+[-–—]\s+(\d{4}\s+)?(remaster(ed)?|radio edit|single version|album version|mono|stereo)\b.*$/i,
+    // Unbracketed "feat. X" at the end
+    /\s+(feat|ft|featuring)\.?\s+.*$/i
+  ];
+
+  // Byline parts that are not artists: "1.2M views", "3.4K likes", years
+  const BYLINE_NOISE = /^(\d[\d.,]*\s*[kmb]?\s+(views|plays|likes|subscribers)|\d{4})$/i;
+
+  function cleanTitle(title) {
+    let cleaned = title || '';
+    TITLE_NOISE.forEach(pattern => {
+      cleaned = cleaned.replace(pattern, '');
+    });
+    return cleaned.replace(/\s{2,}/g, ' ').trim() || (title || '').trim();
+  }
+
+  // The artist part of the byline, as credited ("Simon & Garfunkel")
+  function creditedArtist(byline) {
+    return (byline || '').split('•').map(part => part.trim()).find(part => part && !BYLINE_NOISE.test(part)) || '';
+  }
+
+  // Credited artist broken into names; also splits single acts like
+  // "Earth, Wind & Fire", so lookups try the unsplit credit first
+  function splitArtists(credit) {
+    return credit
+      .split(/\s*(?:,|&|\sx\s|\bfeat\.?|\bft\.?|\bvs\.?)\s*/i)
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  // Clean title, artist list and duration used for every lookup
+  function buildQuery(song) {
+    const credit = creditedArtist(song.artist);
+    const artists = splitArtists(credit);
+    let title = cleanTitle(song.title);
+
+    // Music videos are often titled "Artist - Title"
+    const dash = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+    if (dash && [credit, ...artists].some(artist => normalizeForMatch(artist) === normalizeForMatch(dash[1]))) {
+      title = cleanTitle(dash[2]);
+    }
+
+    const artist = credit || song.artist || '';
+    return {
+      title,
+      artist,
+      // Names to look up in turn: the whole credit, then the lead artist
+      lookupArtists: [...new Set([artist, artists[0]].filter(Boolean))],
+      artists,
+      byline: artists.join(' '),
+      duration: song.duration || 0
+    };
+  }
+
+  // Dice coefficient over words, 0..1
+  function similarity(a, b) {
+    const wordsA = normalizeForMatch(a).split(' ').filter(Boolean);
+    const wordsB = new Set(normalizeForMatch(b).split(' ').filter(Boolean));
+    if (wordsA.length === 0 || wordsB.size === 0) return 0;
+    const shared = wordsA.filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.length + wordsB.size);
+  }
+
+  function durationMatches(query, candidateDuration) {
+    if (!query.duration || !candidateDuration) return true;
+    return Math.abs(query.duration - candidateDuration) <= DURATION_TOLERANCE;
+  }
+
+  // Score an LRCLIB record against the query; null when it must be rejected
+  function scoreCandidate(query, item) {
+    if (!durationMatches(query, item.duration)) return null;
+
+    const titleScore = Math.max(similarity(query.title, item.trackName), similarity(query.title, cleanTitle(item.trackName)));
+    const artistScore = Math.max(0, ...[...query.artists, query.byline].map(artist => similarity(artist, item.artistName)));
+    if (titleScore < 0.5) return null;
+
+    let score = 0.3 + titleScore * 0.35 + artistScore * 0.2;
+    if (query.duration && item.duration) score += 0.05;
+    if (item.syncedLyrics) score += 0.1;
+    return Math.min(1, score);
+  }
 
-      const response = await fetch(`${LRCLIB_API}?${params}`);
+  // Convert an LRCLIB record to a provider result
+  function fromLrclib(data, confidence) {
+    const track = {
+      title: data.trackName || '',
+      artist: data.artistName || '',
+      album: data.albumName || '',
+      duration: data.duration || 0
+    };
+    if (data.syncedLyrics) {
+      const { lines, meta } = parseLRC(data.syncedLyrics);
+      if (hasTimedLines(lines)) return { lines, meta, track, synced: true, confidence };
+    }
+    if (data.plainLyrics) {
+      return { lines: plainLines(data.plainLyrics), track, synced: false, confidence: confidence * 0.8 };
+    }
+    return null;
+  }
+
+  async function searchLrclib(params) {
+    const response = await fetch(`${LRCLIB_SEARCH_API}?${new URLSearchParams(params)}`);
+    if (!response.ok) return [];
+    const results = await response.json();
+    return Array.isArray(results) ? results : [];
+  }
 
-      if (!response.ok) {
-        console.log('[YT Lyrics] Not found on LRCLIB');
+  // Field search first, then a looser free-text search
+  async function searchLrclibForQuery(query) {
+    for (const artist of query.lookupArtists) {
+      const results = await searchLrclib({ track_name: query.title, artist_name: artist });
+      if (results.length > 0) return results;
+    }
+    return searchLrclib({ q: `${query.artist} ${query.title}`.trim() });
+  }
+
+  const PROVIDERS = {
+    local: {
+      name: 'Local file',
+      offline: true,
+      async fetch(song) {
+        if (!window.ytMusicApp?.invoke) return null;
+        const query = buildQuery(song);
+        let found = await window.ytMusicApp.invoke('lyrics-local-lookup', song);
+        for (const artist of query.lookupArtists) {
+          if (found) break;
+          found = await window.ytMusicApp.invoke('lyrics-local-lookup', { artist, title: query.title });
+        }
+        if (!found) return null;
+
+        const { lines, meta } = parseLRC(found.lrc);
+        if (hasTimedLines(lines)) return { lines, meta, synced: true, confidence: 1 };
+        return { lines: plainLines(found.lrc), synced: false, confidence: 1 };
+      }
+    },
+
+    lrclib: {
+      name: 'LRCLIB',
+      async fetch(song) {
+        const query = buildQuery(song);
+        for (const artist of query.lookupArtists) {
+          const params = new URLSearchParams({
+            track_name: query.title,
+            artist_name: artist
+          });
+          // LRCLIB itself only returns records within ±2s of the given duration
+          if (query.duration) params.set('duration', String(query.duration));
+
+          const response = await fetch(`${LRCLIB_GET_API}?${params}`);
+          if (!response.ok) continue;
+
+          const data = await response.json();
+          if (!durationMatches(query, data.duration)) continue;
+          return fromLrclib(data, 0.9);
+        }
         return null;
       }
+    },
+
+    'lrclib-search': {
+      name: 'LRCLIB search',
+      async fetch(song) {
+        const query = buildQuery(song);
+        const results = await searchLrclibForQuery(query);
+
+        // Best title/artist match within the duration tolerance
+        const scored = results
+          .map(item => ({ item, score: scoreCandidate(query, item) }))
+          .filter(candidate => candidate.score !== null)
+          .sort((a, b) => b.score - a.score);
+        if (scored.length === 0) return null;
+
+        return fromLrclib(scored[0].item, scored[0].score);
+      },
+
+      // Every search result, including ones the automatic match rejected
+      async candidates(song) {
+        const query = buildQuery(song);
+        const results = await searchLrclibForQuery(query);
+        return results
+          .map(item => fromLrclib(item, scoreCandidate(query, item) || 0.3))
+          .filter(Boolean);
+      }
+    },
+
+    youtube: {
+      name: 'YouTube Music',
+      offline: true,
+      async fetch() {
+        // Only available once the native lyrics tab has loaded
+        const description = findLyricsPanel()?.querySelector('.description');
+        const lines = plainLines(description?.innerText || description?.textContent);
+        if (lines.length === 0) return null;
+        return { lines, synced: false, confidence: 0.5 };
+      }
+    }
+  };
+
+  async function getProviderOrder() {
+    try {
+      const config = await window.ytMusicApp?.invoke?.('lyrics-config');
+      if (config && Array.isArray(config.providers) && config.providers.length > 0) {
+        return config.providers;
+      }
+    } catch (error) {
+      console.log('[YT Lyrics] Could not read lyrics config:', error.message);
+    }
+    return DEFAULT_PROVIDER_ORDER;
+  }
+
+  // ============================================
+  // TRANSLITERATION
+  // ============================================
+  // Romanization runs offline in the main process; each script can be
+  // switched off from the chips above the lyrics.
 
-      const data = await response.json();
+  const TRANSLIT_LABELS = {
+    ja: 'Romaji',
+    ko: 'Romaja',
+    cyrillic: 'Cyrillic → Latin',
+    greek: 'Greek → Latin'
+  };
 
-      if (data.syncedLyrics) {
-        console.log('[YT Lyrics] ✓ Found synced lyrics!');
-        return parseLRC(data.syncedLyrics);
+  async function loadTransliterations(lines) {
+    try {
+      const [config, result] = await Promise.all([
+        window.ytMusicApp?.invoke?.('lyrics-config'),
+        window.ytMusicApp?.invoke?.('lyrics-transliterate', lines.map(line => line.text))
+      ]);
+      if (config && config.transliteration) {
+        transliterationEnabled = { ...transliterationEnabled, ...config.transliteration };
       }
+      return Array.isArray(result) ? result : [];
+    } catch (error) {
+      console.log('[YT Lyrics] Transliteration unavailable:', error.message);
+      return [];
+    }
+  }
 
-      return null;
+  function applyTransliterationVisibility() {
+    if (!lyricsContainer) return;
+    Object.keys(TRANSLIT_LABELS).forEach(script => {
+      lyricsContainer.classList.toggle(`hide-translit-${script}`, transliterationEnabled[script] === false);
+    });
+    lyricsContainer.querySelectorAll('.yt-translit-toggle').forEach(button => {
+      button.classList.toggle('off', transliterationEnabled[button.dataset.script] === false);
+    });
+  }
+
+  function toggleTransliteration(script) {
+    const enabled = transliterationEnabled[script] === false;
+    transliterationEnabled = { ...transliterationEnabled, [script]: enabled };
+    applyTransliterationVisibility();
+
+    window.ytMusicApp?.invoke?.('lyrics-transliteration-set', { [script]: enabled }).catch(() => {});
+  }
+
+  // One chip per script that actually appears in these lyrics
+  function createTransliterationToggles() {
+    const scripts = [...new Set(transliterations.filter(Boolean).map(entry => entry.script))];
+    if (scripts.length === 0) return null;
+
+    const toggles = document.createElement('div');
+    toggles.className = 'yt-translit-toggles';
+    scripts.forEach(script => {
+      const button = document.createElement('button');
+      button.className = 'yt-translit-toggle';
+      button.dataset.script = script;
+      button.textContent = TRANSLIT_LABELS[script] || script;
+      button.title = 'Show or hide the romanized line';
+      button.addEventListener('click', () => toggleTransliteration(script));
+      toggles.appendChild(button);
+    });
+    return toggles;
+  }
+
+  // Lyrics cache lives in the main process so it survives restarts
+  async function cacheGet(song) {
+    try {
+      return await window.ytMusicApp?.invoke?.('lyrics-cache-get', song) || null;
     } catch (error) {
-      console.error('[YT Lyrics] Error:', error);
       return null;
     }
   }
 
+  function cacheSet(song, lyrics) {
+    window.ytMusicApp?.invoke?.('lyrics-cache-set', { song, lyrics }).catch(() => {});
+  }
+
+  // Try providers in order; the first synced result wins, otherwise the
+  // first plain result is used. A result the user pinned always wins.
+  async function fetchLyrics(song) {
+    const pinned = await pinGet(song);
+    if (pinned) {
+      console.log(`[YT Lyrics] ✓ Using pinned lyrics (${pinned.name})`);
+      return { ...pinned, pinned: true };
+    }
+
+    const cached = await cacheGet(song);
+
+    console.log('[YT Lyrics] Fetching:', song.title, '-', song.artist);
+
+    // Providers that need no network always run, so a local file added later
+    // still takes its place in the order; a cached result (or cached miss)
+    // stands in for the network providers
+    const order = (await getProviderOrder()).filter(id => PROVIDERS[id]);
+
+    let result = null;
+    let fallback = null;
+    let failed = false;
+    let cacheUsed = false;
+    for (const id of order) {
+      const provider = PROVIDERS[id];
+      let found = null;
+
+      if (cached && !provider.offline) {
+        if (cacheUsed) continue;
+        cacheUsed = true;
+        found = cached.lyrics;
+      } else {
+        try {
+          const fetched = await provider.fetch(song);
+          if (fetched && fetched.lines.length > 0) found = { ...fetched, id, name: provider.name };
+        } catch (error) {
+          failed = true;
+          console.log(`[YT Lyrics] ${provider.name} failed:`, error.message);
+        }
+      }
+      if (!found) continue;
+
+      if (found.synced) {
+        result = found;
+        break;
+      }
+      if (!fallback) fallback = found;
+    }
+
+    result = result || fallback;
+
+    if (result) {
+      const fromCache = cached && result === cached.lyrics;
+      console.log(`[YT Lyrics] ✓ ${fromCache ? 'Using cached' : 'Found'} ${result.synced ? 'synced' : 'plain'} lyrics (${result.name})`);
+      // Local files and the native panel are always read live
+      if (!fromCache && !PROVIDERS[result.id]?.offline) cacheSet(song, result);
+    } else {
+      console.log('[YT Lyrics] No lyrics found');
+      // Don't remember a miss that may only be a network failure
+      if (!failed && !cached) cacheSet(song, null);
+    }
+
+    return result;
+  }
+
+  // ============================================
+  // LRC PARSING
+  // ============================================
+  // Supports multiple stamps per line ([00:12.00][01:40.00]Chorus),
+  // 1-3 digit minutes, [offset:+/-ms] and metadata tags, and Enhanced LRC
+  // word timings (<00:12.50>Word). The offset is already applied to the
+  // returned times; a positive offset shows lyrics earlier.
+
+  const LRC_STAMP = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+  const LRC_WORD_STAMP = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+  const LRC_META_TAG = /^\[(ar|ti|al|au|by|re|ve|length|offset|#):([^\]]*)\]\s*$/i;
+
+  function stampToSeconds(minutes, seconds, fraction) {
+    const frac = fraction ? Number(`0.${fraction}`) : 0;
+    return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + frac;
+  }
+
+  // Split "<00:01.00>Hello <00:01.50>world" into timed words
+  function parseWords(text) {
+    const words = [];
+    let lastIndex = 0;
+    let lastTime = null;
+    let match;
+
+    LRC_WORD_STAMP.lastIndex = 0;
+    while ((match = LRC_WORD_STAMP.exec(text)) !== null) {
+      if (lastTime !== null) {
+        words.push({ time: lastTime, text: text.slice(lastIndex, match.index) });
+      }
+      lastTime = stampToSeconds(match[1], match[2], match[3]);
+      lastIndex = LRC_WORD_STAMP.lastIndex;
+    }
+    if (lastTime === null) return null;
+
+    words.push({ time: lastTime, text: text.slice(lastIndex) });
+    // A trailing stamp only marks where the last word ends
+    return words.filter(word => word.text.length > 0);
+  }
+
   function parseLRC(lrc) {
-    const lines = lrc.split('\n');
+    const meta = {};
     const result = [];
+    const order = new Map(); // entry -> time it sorts by
+    let anchor = 0;
+
+    for (const rawLine of lrc.split(/\r?\n/)) {
+      let line = rawLine.trim();
 
-    for (const line of lines) {
-      const match = line.match(/\[(\d{2}):(\d{2})\.(\d{2,3})\](.*)/);
-      if (match) {
-        const minutes = parseInt(match[1], 10);
-        const seconds = parseInt(match[2], 10);
-        const ms = parseInt(match[3], 10);
-        const divisor = match[3].length === 3 ? 1000 : 100;
-        const time = minutes * 60 + seconds + ms / divisor;
-        const text = match[4].trim();
-
-        if (text) {
-          result.push({ time, text });
+      const tag = line.match(LRC_META_TAG);
+      if (tag) {
+        meta[tag[1].toLowerCase()] = tag[2].trim();
+        continue;
+      }
+
+      // Collect every leading timestamp
+      const times = [];
+      let stamp;
+      while ((stamp = line.match(LRC_STAMP)) !== null) {
+        times.push(stampToSeconds(stamp[1], stamp[2], stamp[3]));
+        line = line.slice(stamp[0].length);
+      }
+      // Text without a stamp (like lines left untapped in the sync editor)
+      // is kept as an untimed line right after the line before it
+      if (times.length === 0) {
+        if (line) {
+          const entry = { time: null, text: line };
+          order.set(entry, anchor);
+          result.push(entry);
         }
+        continue;
+      }
+      anchor = times[0];
+
+      const words = parseWords(line);
+      const text = (words ? words.map(word => word.text).join('') : line).trim();
+      if (!text) continue;
+
+      for (const time of times) {
+        const entry = { time, text };
+        if (words) {
+          // Word stamps are absolute; repeated lines shift them to their own start
+          const shift = time - times[0];
+          entry.words = words.map(word => ({ time: word.time + shift, text: word.text }));
+        }
+        order.set(entry, time);
+        result.push(entry);
+      }
+    }
+
+    const offset = parseInt(meta.offset, 10) || 0;
+    if (offset !== 0) {
+      for (const entry of result) {
+        if (entry.time === null) continue;
+        entry.time = Math.max(0, entry.time - offset / 1000);
+        entry.words?.forEach(word => {
+          word.time = Math.max(0, word.time - offset / 1000);
+        });
       }
     }
 
-    return result.sort((a, b) => a.time - b.time);
+    return {
+      lines: result.sort((a, b) => order.get(a) - order.get(b)),
+      meta: {
+        artist: meta.ar || '',
+        title: meta.ti || '',
+        album: meta.al || '',
+        length: meta.length || '',
+        offset
+      }
+    };
   }
 
   // Find the lyrics tab content area - specifically in the player page lyrics tab
@@ -240,10 +948,21 @@
     return null;
   }
 
-  // Inject our synced lyrics into YouTube's lyrics panel
+  // Without lyrics YouTube shows a message instead of the description shelf
+  function findLyricsTab() {
+    return document.querySelector('[page-type="MUSIC_PAGE_TYPE_TRACK_LYRICS"]');
+  }
+
+  function hasLyricsView() {
+    return syncedLyrics.length > 0 || lyricsMissing;
+  }
+
+  // Inject our synced lyrics into YouTube's lyrics panel; with no lyrics
+  // only the badge and the picker and editor entry points are shown
   function injectSyncedLyrics() {
-    const panel = findLyricsPanel();
-    if (!panel || syncedLyrics.length === 0) return;
+    if (!hasLyricsView()) return;
+    const panel = findLyricsPanel() || (lyricsMissing ? findLyricsTab() : null);
+    if (!panel) return;
 
     // Check if already injected
     if (document.getElementById('yt-synced-container')) {
@@ -253,30 +972,78 @@
     console.log('[YT Lyrics] Injecting into native panel...');
 
     // Add class to hide YT's lyrics
-    panel.classList.add('yt-has-synced-lyrics');
+    if (syncedLyrics.length > 0) panel.classList.add('yt-has-synced-lyrics');
 
     // Create our container
     const container = document.createElement('div');
     container.id = 'yt-synced-container';
 
-    // Add synced badge
+    // Add synced badge with the provider that supplied the lyrics
     const badge = document.createElement('div');
     badge.className = 'yt-synced-badge';
-    badge.textContent = 'Synced Lyrics';
+    badge.textContent = syncedLyrics.length === 0 ? 'No Lyrics Found'
+      : lyricsSource?.synced === false ? 'Lyrics' : 'Synced Lyrics';
+    if (lyricsSource) {
+      const source = document.createElement('span');
+      source.className = 'yt-lyrics-source';
+      source.textContent = `via ${lyricsSource.name}${lyricsSource.pinned ? ' · pinned' : ''}`;
+      badge.title = `Source: ${lyricsSource.name} (confidence ${Math.round(lyricsSource.confidence * 100)}%)`;
+      badge.appendChild(source);
+    }
     container.appendChild(badge);
 
+    if (canAdjustOffset()) {
+      container.appendChild(createOffsetControls());
+    }
+
+    const toggles = createTransliterationToggles();
+    if (toggles) container.appendChild(toggles);
+    if (syncedLyrics.length > 0) container.appendChild(createExportControls());
+    container.appendChild(createPickerButton());
+    if (lyricsSource?.synced !== true || authoring) container.appendChild(createAuthoringButton());
+    if (picker) container.appendChild(createPicker());
+    if (authoring) container.appendChild(createAuthoringPanel());
+
     // Add lyrics lines
     syncedLyrics.forEach((line, i) => {
       const el = document.createElement('span');
       el.className = 'yt-sync-line';
       el.dataset.index = i.toString();
-      el.dataset.time = line.time.toString();
-      el.textContent = line.text;
 
-      el.addEventListener('click', () => {
-        const video = document.querySelector('video');
-        if (video) video.currentTime = line.time;
-      });
+      // Enhanced LRC lines get one span per word for karaoke highlighting
+      if (line.words) {
+        line.words.forEach(word => {
+          const wordEl = document.createElement('span');
+          wordEl.className = 'yt-sync-word';
+          wordEl.textContent = word.text;
+          el.appendChild(wordEl);
+        });
+      } else {
+        el.textContent = line.text;
+      }
+
+      const translit = transliterations[i];
+      if (translit) {
+        const translitEl = document.createElement('span');
+        translitEl.className = 'yt-sync-translit';
+        translitEl.dataset.script = translit.script;
+        translitEl.textContent = translit.text;
+        el.appendChild(translitEl);
+      }
+
+      if (line.time === null) {
+        el.classList.add('plain');
+      } else {
+        el.dataset.time = line.time.toString();
+        // Lines not yet tapped in the sync editor have an infinite time
+        el.classList.toggle('untimed', !Number.isFinite(line.time));
+        el.addEventListener('click', () => {
+          const video = document.querySelector('video');
+          if (video && Number.isFinite(line.time)) {
+            video.currentTime = Math.max(0, line.time - userOffset / 1000);
+          }
+        });
+      }
 
       container.appendChild(el);
     });
@@ -284,8 +1051,11 @@
     // Insert at the beginning of the panel
     panel.insertBefore(container, panel.firstChild);
     lyricsContainer = container;
+    applyTransliterationVisibility();
 
-    console.log('[YT Lyrics] ✓ Injected', syncedLyrics.length, 'lines into native panel!');
+    if (syncedLyrics.length > 0) {
+      console.log('[YT Lyrics] ✓ Injected', syncedLyrics.length, 'lines into native panel!');
+    }
   }
 
   // Remove our injected content and reset state
@@ -316,38 +1086,695 @@
   }
 
   function updateActiveLine() {
-    if (syncedLyrics.length === 0) return;
+    if (syncedLyrics.length === 0 || !lyricsSource?.synced) return;
 
-    const currentTime = getCurrentTime();
+    const currentTime = getLyricsTime();
 
     // Find active line
     let activeIndex = -1;
     for (let i = syncedLyrics.length - 1; i >= 0; i--) {
-      if (currentTime >= syncedLyrics[i].time - 0.1) {
+      if (syncedLyrics[i].time !== null && currentTime >= syncedLyrics[i].time - 0.1) {
         activeIndex = i;
         break;
       }
     }
 
-    if (activeIndex === lastActiveIndex) return;
-    lastActiveIndex = activeIndex;
+    if (activeIndex !== lastActiveIndex) {
+      lastActiveIndex = activeIndex;
+      publishActiveLine(activeIndex);
 
+      // Update lines in container
+      if (!lyricsContainer) return;
 
+      const lines = lyricsContainer.querySelectorAll('.yt-sync-line');
+      lines.forEach((line, i) => {
+        line.classList.remove('active', 'past');
 
-    // Update lines in container
-    if (!lyricsContainer) return;
+        if (i === activeIndex) {
+          line.classList.add('active');
+          line.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (i < activeIndex) {
+          line.classList.add('past');
+        }
+      });
+    }
+
+    updateActiveWords(activeIndex, currentTime);
+  }
 
-    const lines = lyricsContainer.querySelectorAll('.yt-sync-line');
-    lines.forEach((line, i) => {
-      line.classList.remove('active', 'past');
+  // Share the active line with the mini player: the line itself, the next
+  // one and a short window around it for the expanded layout
+  function publishActiveLine(activeIndex) {
+    const first = Math.max(0, activeIndex - 1);
+    const lines = syncedLyrics.slice(first, activeIndex + 4).map((line, i) => ({
+      text: line.text,
+      active: first + i === activeIndex
+    }));
+
+    window.ytMusicApp?.send?.('lyrics-line-update', {
+      index: activeIndex,
+      current: syncedLyrics[activeIndex]?.text || null,
+      next: syncedLyrics[activeIndex + 1]?.text || null,
+      lines
+    });
+  }
+
+  // Karaoke fill for Enhanced LRC: sung words are lit, the current word
+  // fills from left to right
+  function updateActiveWords(activeIndex, currentTime) {
+    const line = syncedLyrics[activeIndex];
+    if (!line || !line.words || !lyricsContainer) return;
+
+    const lineEl = lyricsContainer.querySelector(`.yt-sync-line[data-index="${activeIndex}"]`);
+    if (!lineEl) return;
+
+    const nextLine = syncedLyrics.slice(activeIndex + 1).find(next => next.time !== null);
+    const wordEls = lineEl.querySelectorAll('.yt-sync-word');
+
+    line.words.forEach((word, i) => {
+      const el = wordEls[i];
+      if (!el) return;
+
+      const nextWord = line.words[i + 1];
+      const end = nextWord ? nextWord.time : (nextLine ? Math.min(nextLine.time, word.time + 2) : word.time + 2);
+      const progress = Math.max(0, Math.min(1, (currentTime - word.time) / Math.max(0.05, end - word.time)));
+
+      el.classList.toggle('sung', progress >= 1);
+      el.classList.toggle('singing', progress > 0 && progress < 1);
+      el.style.setProperty('--word-progress', `${Math.round(progress * 100)}%`);
+    });
+  }
+
+  // ============================================
+  // SYNC OFFSET
+  // ============================================
+  // Per-track timing correction, remembered across sessions by the main
+  // process and applied on top of any [offset:] tag.
+
+  function offsetKey(song) {
+    return song.videoId || `${song.artist}::${song.title}`;
+  }
 
-      if (i === activeIndex) {
-        line.classList.add('active');
-        line.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      } else if (i < activeIndex) {
-        line.classList.add('past');
+  async function loadOffset(song) {
+    try {
+      const offset = await window.ytMusicApp?.invoke?.('lyrics-offset-get', offsetKey(song));
+      return Number(offset) || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  function formatOffset(offset) {
+    if (offset === 0) return 'In sync';
+    const seconds = (Math.abs(offset) / 1000).toFixed(1);
+    return offset > 0 ? `${seconds}s earlier` : `${seconds}s later`;
+  }
+
+  function setOffset(offset) {
+    userOffset = Math.max(-10000, Math.min(10000, Math.round(offset)));
+    lastActiveIndex = -1;
+
+    const label = document.getElementById('yt-sync-offset-value');
+    if (label) label.textContent = formatOffset(userOffset);
+
+    window.ytMusicApp?.invoke?.('lyrics-offset-set', {
+      key: offsetKey(currentSong),
+      offset: userOffset
+    }).catch(() => {});
+  }
+
+  // Tapped stamps are taken as they are, so the offset is left alone while authoring
+  function canAdjustOffset() {
+    return lyricsSource?.synced === true && !authoring;
+  }
+
+  function nudgeOffset(delta) {
+    if (!canAdjustOffset()) return;
+    setOffset(userOffset + delta);
+  }
+
+  function createOffsetControls() {
+    const controls = document.createElement('div');
+    controls.className = 'yt-sync-offset';
+
+    const makeButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'yt-sync-offset-btn';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    const value = document.createElement('span');
+    value.id = 'yt-sync-offset-value';
+    value.textContent = formatOffset(userOffset);
+    value.title = 'Reset sync (Alt+\\)';
+    value.addEventListener('click', () => setOffset(0));
+
+    controls.appendChild(makeButton('−', 'Show lyrics later (Alt+[, Shift for 0.5s)',
+      (e) => nudgeOffset(-(e.shiftKey ? OFFSET_LARGE_STEP : OFFSET_STEP))));
+    controls.appendChild(value);
+    controls.appendChild(makeButton('+', 'Show lyrics earlier (Alt+], Shift for 0.5s)',
+      (e) => nudgeOffset(e.shiftKey ? OFFSET_LARGE_STEP : OFFSET_STEP)));
+
+    return controls;
+  }
+
+  // Alt+[ / Alt+] nudge, Alt+\ resets (codes, so macOS Option symbols still work)
+  function handleOffsetKeys(e) {
+    if (!e.altKey || e.metaKey || e.ctrlKey) return;
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+    const step = e.shiftKey ? OFFSET_LARGE_STEP : OFFSET_STEP;
+    if (e.code === 'BracketLeft') {
+      nudgeOffset(-step);
+    } else if (e.code === 'BracketRight') {
+      nudgeOffset(step);
+    } else if (e.code === 'Backslash') {
+      if (canAdjustOffset()) setOffset(0);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  // The main process formats the file and shows the save dialog; the
+  // user offset is sent along so exported timestamps match what is shown.
+
+  // Flag the button that failed; the reason is in its tooltip
+  function showExportError(button, message) {
+    console.log(`[YT Lyrics] ${message}`);
+    const { textContent: label, title } = button;
+
+    button.classList.add('error');
+    button.textContent = '!';
+    button.title = message;
+    setTimeout(() => {
+      button.classList.remove('error');
+      button.textContent = label;
+      button.title = title;
+    }, 4000);
+  }
+
+  async function exportLyrics(format, button) {
+    if (button.classList.contains('error')) return;
+    const label = button.textContent;
+    try {
+      const result = await window.ytMusicApp?.invoke?.('lyrics-export', {
+        format,
+        lines: syncedLyrics,
+        offset: userOffset,
+        meta: {
+          title: currentSong.title || lyricsSource?.meta?.title || '',
+          artist: currentSong.artist || lyricsSource?.meta?.artist || '',
+          album: lyricsSource?.meta?.album || '',
+          duration: document.querySelector('video')?.duration || 0
+        }
+      });
+      if (result?.ok) {
+        console.log('[YT Lyrics] ✓ Exported to', result.file);
+        button.textContent = '✓';
+        setTimeout(() => { button.textContent = label; }, 1500);
+      } else if (result && result.error !== 'Canceled') {
+        showExportError(button, `Export failed: ${result.error}`);
       }
+    } catch (error) {
+      showExportError(button, `Export failed: ${error.message}`);
+    }
+  }
+
+  function createExportControls() {
+    const controls = document.createElement('div');
+    controls.className = 'yt-lyrics-export';
+
+    // Plain lyrics have no timings for LRC or SRT
+    const formats = lyricsSource?.synced ? ['lrc', 'srt', 'txt'] : ['txt'];
+    formats.forEach(format => {
+      const button = document.createElement('button');
+      button.className = 'yt-lyrics-export-btn';
+      button.textContent = format.toUpperCase();
+      button.title = `Export lyrics as .${format}`;
+      button.addEventListener('click', () => exportLyrics(format, button));
+      controls.appendChild(button);
     });
+
+    return controls;
+  }
+
+  // ============================================
+  // CANDIDATE PICKER
+  // ============================================
+  // "Wrong lyrics?" lists every result the providers can offer. Clicking a
+  // candidate previews it; "Use these lyrics" pins it to the track in the
+  // main process so it is picked before any provider from then on.
+
+  let picker = null; // { loading, candidates, selected, original } while open
+
+  async function pinGet(song) {
+    try {
+      return await window.ytMusicApp?.invoke?.('lyrics-pin-get', offsetKey(song)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function pinSet(song, lyrics) {
+    return window.ytMusicApp?.invoke?.('lyrics-pin-set', { key: offsetKey(song), lyrics })
+      .catch(() => {});
+  }
+
+  // Providers with a candidates() method can return several results;
+  // the others contribute whatever fetch() finds
+  async function collectCandidates(song) {
+    const order = (await getProviderOrder()).filter(id => PROVIDERS[id]);
+    const lists = await Promise.all(order.map(async id => {
+      const provider = PROVIDERS[id];
+      try {
+        const results = provider.candidates
+          ? await provider.candidates(song)
+          : [await provider.fetch(song)].filter(Boolean);
+        return results
+          .filter(result => result.lines.length > 0)
+          .map(result => ({ ...result, id, name: provider.name }));
+      } catch (error) {
+        console.log(`[YT Lyrics] ${provider.name} candidates failed:`, error.message);
+        return [];
+      }
+    }));
+
+    // The same LRCLIB record can come from more than one provider
+    const seen = new Set();
+    return lists.flat().filter(candidate => {
+      const track = describeCandidate(candidate);
+      const key = `${track.title}|${track.artist}|${track.duration}|${candidate.synced}|${candidate.lines.length}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  function describeCandidate(candidate) {
+    return {
+      title: candidate.track?.title || candidate.meta?.title || currentSong.title,
+      artist: candidate.track?.artist || candidate.meta?.artist || currentSong.artist,
+      album: candidate.track?.album || candidate.meta?.album || '',
+      duration: Math.round(candidate.track?.duration || 0)
+    };
+  }
+
+  // Same format as lib/format-time.js, which the page can't load; the
+  // lyrics stage uses this one through window.__ytLyrics
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // Swap the displayed lyrics (preview, pin or restore) and redraw;
+  // restoring the "no lyrics" state passes no lines
+  async function showLyrics(lyrics) {
+    if (lyrics.lines.length === 0) {
+      syncedLyrics = [];
+      lyricsSource = null;
+      transliterations = [];
+      redrawLyrics();
+      return;
+    }
+
+    syncedLyrics = lyrics.lines;
+    lyricsSource = {
+      name: lyrics.name,
+      confidence: lyrics.confidence,
+      synced: lyrics.synced,
+      meta: lyrics.meta || {},
+      pinned: !!lyrics.pinned
+    };
+    transliterations = [];
+    lastActiveIndex = -1;
+    redrawLyrics();
+
+    const lines = syncedLyrics;
+    const romanized = await loadTransliterations(lines);
+    if (syncedLyrics === lines) {
+      transliterations = romanized;
+      redrawLyrics();
+    }
+  }
+
+  function redrawLyrics() {
+    removeSyncedLyrics();
+    injectSyncedLyrics();
+  }
+
+  async function openPicker() {
+    if (picker) return;
+
+    const song = currentSong;
+    picker = {
+      loading: true,
+      candidates: [],
+      selected: -1,
+      original: { lines: syncedLyrics, ...lyricsSource }
+    };
+    redrawLyrics();
+
+    const candidates = await collectCandidates({ ...song, duration: await getTrackDuration() });
+    if (!picker || currentSong !== song) return;
+
+    picker.loading = false;
+    picker.candidates = candidates;
+    redrawLyrics();
+  }
+
+  function closePicker() {
+    const original = picker?.original;
+    picker = null;
+    if (original) {
+      showLyrics(original);
+    } else {
+      redrawLyrics();
+    }
+  }
+
+  function previewCandidate(index) {
+    picker.selected = index;
+    showLyrics(picker.candidates[index]);
+  }
+
+  function pinSelected() {
+    const candidate = picker?.candidates[picker.selected];
+    if (!candidate) return;
+
+    const { pinned, ...lyrics } = candidate;
+    pinSet(currentSong, lyrics);
+    picker = null;
+    showLyrics({ ...lyrics, pinned: true });
+    console.log(`[YT Lyrics] ✓ Pinned lyrics from ${candidate.name}`);
+  }
+
+  // Forget the pin and let the providers choose again
+  async function unpin() {
+    picker = null;
+    await pinSet(currentSong, null);
+    lastSongKey = '';
+  }
+
+  function createPickerButton() {
+    const button = document.createElement('button');
+    button.className = 'yt-lyrics-export-btn';
+    button.textContent = syncedLyrics.length === 0 && !picker ? 'Find lyrics' : 'Wrong lyrics?';
+    button.title = 'Choose different lyrics for this track';
+    button.addEventListener('click', () => (picker ? closePicker() : openPicker()));
+    return button;
+  }
+
+  function createPicker() {
+    const panel = document.createElement('div');
+    panel.className = 'yt-lyrics-picker';
+
+    const status = (text) => {
+      const el = document.createElement('div');
+      el.className = 'yt-lyrics-picker-status';
+      el.textContent = text;
+      panel.appendChild(el);
+    };
+
+    if (picker.loading) {
+      status('Searching…');
+      return panel;
+    }
+    if (picker.candidates.length === 0) {
+      status('No other lyrics found');
+    }
+
+    const trackDuration = Math.round(document.querySelector('video')?.duration || 0);
+    picker.candidates.forEach((candidate, i) => {
+      const track = describeCandidate(candidate);
+      const row = document.createElement('div');
+      row.className = 'yt-lyrics-candidate' + (i === picker.selected ? ' selected' : '');
+
+      const title = document.createElement('div');
+      title.className = 'yt-lyrics-candidate-title';
+      title.textContent = `${track.title} — ${track.artist}`;
+
+      const details = document.createElement('div');
+      details.className = 'yt-lyrics-candidate-details';
+      const offBy = track.duration && trackDuration ? track.duration - trackDuration : 0;
+      details.textContent = [
+        track.album,
+        (track.duration ? formatTime(track.duration) : '') + (Math.abs(offBy) > DURATION_TOLERANCE ? ` (${offBy > 0 ? '+' : ''}${offBy}s)` : ''),
+        candidate.synced ? 'Synced' : 'Plain',
+        candidate.name
+      ].filter(Boolean).join(' · ');
+
+      row.appendChild(title);
+      row.appendChild(details);
+      row.addEventListener('click', () => previewCandidate(i));
+      panel.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-lyrics-picker-actions';
+    const addAction = (text, onClick, disabled) => {
+      const button = document.createElement('button');
+      button.className = 'yt-lyrics-export-btn';
+      button.textContent = text;
+      button.disabled = !!disabled;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    };
+    addAction('Use these lyrics', pinSelected, picker.selected < 0);
+    if (picker.original.pinned) addAction('Back to automatic', unpin);
+    addAction('Cancel', closePicker);
+    panel.appendChild(actions);
+
+    return panel;
+  }
+
+  // ============================================
+  // TAP-TO-SYNC EDITOR
+  // ============================================
+  // Turns plain lyrics into LRC: edit or load the text, then press Enter as
+  // each line starts. Tapped lines go live through updateActiveLine(), and
+  // the result is saved as a local .lrc that the "local" provider finds.
+
+  const TAP_FINE_STEP = 0.1; // seconds per fine-tune press
+  const TAP_REWIND = 5;      // seconds
+
+  let authoring = null; // { step: 'edit' | 'tap', text, lines, index, original }
+
+  function startAuthoring() {
+    if (authoring) return;
+    picker = null;
+    authoring = {
+      step: 'edit',
+      text: syncedLyrics.map(line => line.text).join('\n'),
+      lines: [],
+      index: 0,
+      original: { lines: syncedLyrics, ...lyricsSource }
+    };
+    redrawLyrics();
+  }
+
+  function cancelAuthoring() {
+    const original = authoring?.original;
+    authoring = null;
+    if (original) showLyrics(original);
+  }
+
+  function beginTapping() {
+    const lines = authoring.text
+      .split(/\r?\n/)
+      .map(text => text.trim())
+      .filter(Boolean)
+      .map(text => ({ time: Infinity, text }));
+    if (lines.length === 0) return;
+
+    authoring.step = 'tap';
+    authoring.lines = lines;
+    authoring.index = 0;
+
+    syncedLyrics = lines;
+    transliterations = [];
+    userOffset = 0;
+    lastActiveIndex = -1;
+    lyricsSource = { name: 'Tap to sync', confidence: 1, synced: true, meta: {} };
+    redrawLyrics();
+  }
+
+  function markLine(index) {
+    const el = lyricsContainer?.querySelector(`.yt-sync-line[data-index="${index}"]`);
+    if (el) el.classList.toggle('untimed', !Number.isFinite(authoring.lines[index].time));
+    updateAuthoringStatus();
+  }
+
+  function tapLine() {
+    if (authoring?.step !== 'tap' || authoring.index >= authoring.lines.length) return;
+    const index = authoring.index++;
+    authoring.lines[index].time = Math.round(getCurrentTime() * 100) / 100;
+    lastActiveIndex = -1;
+    markLine(index);
+  }
+
+  // Clear the last stamp and jump back a little before it to tap again
+  function undoTap() {
+    if (authoring?.step !== 'tap' || authoring.index === 0) return;
+    const index = --authoring.index;
+    const time = authoring.lines[index].time;
+    authoring.lines[index].time = Infinity;
+    lastActiveIndex = -1;
+    markLine(index);
+
+    const video = document.querySelector('video');
+    if (video) video.currentTime = Math.max(0, time - 2);
+  }
+
+  // Move the most recent stamp by a small step
+  function fineTune(delta) {
+    if (authoring?.step !== 'tap' || authoring.index === 0) return;
+    const line = authoring.lines[authoring.index - 1];
+    const previous = authoring.lines[authoring.index - 2];
+    line.time = Math.max(previous ? previous.time : 0, Math.round((line.time + delta) * 100) / 100);
+    lastActiveIndex = -1;
+    updateAuthoringStatus();
+  }
+
+  function rewind() {
+    const video = document.querySelector('video');
+    if (video) video.currentTime = Math.max(0, video.currentTime - TAP_REWIND);
+  }
+
+  async function saveAuthoring() {
+    if (authoring?.step !== 'tap' || authoring.index === 0) return;
+
+    const song = { ...currentSong, duration: await getTrackDuration() };
+    const result = await window.ytMusicApp?.invoke?.('lyrics-local-save', {
+      song,
+      lines: authoring.lines.map(line => ({
+        text: line.text,
+        time: Number.isFinite(line.time) ? line.time : null
+      }))
+    }).catch(error => ({ ok: false, error: error.message }));
+
+    if (!result?.ok) {
+      console.log('[YT Lyrics] Could not save synced lyrics:', result?.error);
+      return;
+    }
+
+    console.log('[YT Lyrics] ✓ Saved synced lyrics to', result.file);
+    authoring = null;
+    // The new stamps are already in sync; an older offset would shift them
+    setOffset(0);
+    // A pin would hide the new file
+    await pinSet(currentSong, null);
+    lastSongKey = '';
+  }
+
+  function updateAuthoringStatus() {
+    const status = document.getElementById('yt-lyrics-author-status');
+    if (!status || !authoring) return;
+
+    const total = authoring.lines.length;
+    const last = authoring.lines[authoring.index - 1];
+    status.textContent = authoring.index >= total
+      ? `All ${total} lines synced — save or fine-tune the last one`
+      : `Line ${authoring.index + 1} of ${total}` + (last ? ` · last at ${last.time.toFixed(2)}s` : '');
+  }
+
+  // Enter taps, Backspace undoes, Alt+Up/Down fine-tune the last stamp
+  function handleAuthoringKeys(e) {
+    if (authoring?.step !== 'tap' || e.metaKey || e.ctrlKey) return;
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+    if (e.code === 'Enter' && !e.altKey) {
+      tapLine();
+    } else if (e.code === 'Backspace' && !e.altKey) {
+      undoTap();
+    } else if (e.code === 'ArrowUp' && e.altKey) {
+      fineTune(-TAP_FINE_STEP);
+    } else if (e.code === 'ArrowDown' && e.altKey) {
+      fineTune(TAP_FINE_STEP);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function createAuthoringButton() {
+    const button = document.createElement('button');
+    button.className = 'yt-lyrics-export-btn';
+    button.textContent = authoring ? 'Stop syncing' : 'Sync lyrics';
+    button.title = 'Create synced lyrics by tapping along';
+    button.addEventListener('click', () => (authoring ? cancelAuthoring() : startAuthoring()));
+    return button;
+  }
+
+  function createAuthoringPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'yt-lyrics-author';
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-lyrics-picker-actions';
+    const addAction = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'yt-lyrics-export-btn';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+      return button;
+    };
+
+    if (authoring.step === 'edit') {
+      const textarea = document.createElement('textarea');
+      textarea.className = 'yt-lyrics-author-text';
+      textarea.value = authoring.text;
+      textarea.placeholder = 'Paste lyrics, one line per row';
+      textarea.addEventListener('input', () => { authoring.text = textarea.value; });
+      panel.appendChild(textarea);
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.txt,.lrc,text/plain';
+      fileInput.hidden = true;
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        // Drop any timestamps from an existing .lrc
+        const text = (await file.text()).replace(/^(\[[^\]]*\])+/gm, '');
+        authoring.text = text;
+        textarea.value = text;
+      });
+      panel.appendChild(fileInput);
+
+      addAction('Load file…', 'Load lyrics from a text or LRC file', () => fileInput.click());
+      addAction('Start syncing', 'Press Enter as each line starts', beginTapping);
+      addAction('Cancel', 'Discard and go back', cancelAuthoring);
+    } else {
+      const status = document.createElement('div');
+      status.id = 'yt-lyrics-author-status';
+      status.className = 'yt-lyrics-picker-status';
+      panel.appendChild(status);
+
+      addAction('Tap', 'Mark the start of the next line (Enter)', tapLine);
+      addAction('Undo', 'Clear the last mark and jump back (Backspace)', undoTap);
+      addAction('−0.1s', 'Move the last mark earlier (Alt+↑)', () => fineTune(-TAP_FINE_STEP));
+      addAction('+0.1s', 'Move the last mark later (Alt+↓)', () => fineTune(TAP_FINE_STEP));
+      addAction(`⟲ ${TAP_REWIND}s`, `Rewind ${TAP_REWIND} seconds`, rewind);
+      addAction('Save .lrc', 'Save to the lyrics folder', saveAuthoring);
+      addAction('Cancel', 'Discard and go back', cancelAuthoring);
+    }
+
+    panel.appendChild(actions);
+    if (authoring.step === 'tap') setTimeout(updateAuthoringStatus, 0);
+    return panel;
   }
 
   let isFetching = false;
@@ -372,16 +1799,27 @@
 
     // IMMEDIATELY clear everything to prevent glitches
     syncedLyrics = [];
+    transliterations = [];
+    lyricsSource = null;
+    lyricsMissing = false;
+    picker = null;
+    authoring = null;
+    userOffset = 0;
     lastActiveIndex = -1;
     lyricsContainer = null;
     removeSyncedLyrics();
+    publishActiveLine(-1);
 
     // Hide native lyrics immediately while loading
     hideNativeLyrics();
 
     try {
       // Fetch new lyrics
-      const lyrics = await fetchLyrics(song.title, song.artist);
+      const [lyrics, offset] = await Promise.all([
+        fetchLyrics({ ...song, duration: await getTrackDuration() }),
+        loadOffset(song)
+      ]);
+      const romanized = lyrics ? await loadTransliterations(lyrics.lines) : [];
 
       // Double check we're still on the same song
       const currentKey = `${getSongInfo().title}::${getSongInfo().artist}`;
@@ -391,17 +1829,25 @@
         return;
       }
 
-      if (lyrics && lyrics.length > 0) {
-        syncedLyrics = lyrics;
+      if (lyrics) {
+        syncedLyrics = lyrics.lines;
+        transliterations = romanized;
+        userOffset = offset;
+        lyricsSource = {
+          name: lyrics.name,
+          confidence: lyrics.confidence,
+          synced: lyrics.synced,
+          meta: lyrics.meta || {},
+          pinned: !!lyrics.pinned
+        };
         // Inject after a short delay
-        setTimeout(() => {
-          if (syncedLyrics.length > 0) {
-            injectSyncedLyrics();
-          }
-        }, 200);
+        setTimeout(injectSyncedLyrics, 200);
       } else {
-        // No synced lyrics - show native lyrics again
+        // No lyrics from any provider - show native panel again, with
+        // the picker and sync editor on top to fix it by hand
         removeSyncedLyrics();
+        lyricsMissing = true;
+        setTimeout(injectSyncedLyrics, 200);
       }
     } catch (error) {
       console.error('[YT Lyrics] Fetch error:', error);
@@ -414,7 +1860,7 @@
   // Watch for lyrics tab becoming visible
   function watchLyricsTab() {
     const observer = new MutationObserver(() => {
-      if (syncedLyrics.length > 0 && !document.getElementById('yt-synced-container')) {
+      if (hasLyricsView() && !document.getElementById('yt-synced-container')) {
         setTimeout(injectSyncedLyrics, 200);
       }
     });
@@ -431,16 +1877,27 @@
     setInterval(updateActiveLine, 100);
     setInterval(() => {
       // Keep trying to inject if not present
-      if (syncedLyrics.length > 0 && !document.getElementById('yt-synced-container')) {
+      if (hasLyricsView() && !document.getElementById('yt-synced-container')) {
         injectSyncedLyrics();
       }
     }, 1000);
   }
 
+  // Read-only view of the parsed lyrics for other page scripts (lyrics stage)
+  window.__ytLyrics = {
+    getLines: () => syncedLyrics,
+    getSource: () => lyricsSource,
+    getTransliterations: () => transliterations,
+    getTime: getLyricsTime,
+    formatTime
+  };
+
   function init() {
     console.log('[YT Lyrics] Initializing integrated lyrics...');
     injectStyles();
 
+    document.addEventListener('keydown', handleOffsetKeys);
+    document.addEventListener('keydown', handleAuthoringKeys, true);
     watchLyricsTab();
     startLoop();
     console.log('[YT Lyrics] Ready! Synced lyrics will appear in the native LYRICS tab.');
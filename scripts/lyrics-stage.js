@@ -0,0 +1,542 @@
+// Lyrics Stage - Fullscreen karaoke view for YouTube Music
+// Large centered lyrics over the Living Background visuals, with album art,
+// progress and controls that fade away when the mouse is idle.
+// Lyrics come from the lyrics enhancer (window.__ytLyrics) and the track from
+// the main process's 'player-state' broadcast; the main process toggles the
+// stage together with window fullscreen (Cmd/Ctrl+Shift+L).
+
+(function () {
+  'use strict';
+
+  // Prevent re-initialization
+  if (window.__ytLyricsStageInitialized) {
+    console.log('[YT Stage] Already initialized, skipping...');
+    return;
+  }
+  window.__ytLyricsStageInitialized = true;
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  const IDLE_TIMEOUT = 3000;   // ms without mouse movement before the chrome fades
+  const LINE_LEAD = 0.1;       // seconds a line lights up before its timestamp
+
+  // ============================================
+  // STATE
+  // ============================================
+
+  let isActive = false;
+  let stage = null;
+  let animationId = null;
+  let idleTimer = null;
+  let renderedLines = null;         // lines array currently in the DOM
+  let renderedTransliterations = null;
+  let activeIndex = -1;
+  let lastThumbnail = '';
+  let track = {};              // player state, merged from 'player-state' changes
+  let positionAt = 0;          // performance.now() when track.position was last reported
+
+  // ============================================
+  // PAGE DATA
+  // ============================================
+
+  function getLyrics() {
+    const api = window.__ytLyrics;
+    if (!api) return { lines: [], synced: false, transliterations: [], time: 0 };
+    return {
+      lines: api.getLines(),
+      synced: !!api.getSource()?.synced,
+      transliterations: api.getTransliterations(),
+      time: api.getTime()
+    };
+  }
+
+  function updateTrack(changes) {
+    track = { ...track, ...changes };
+    if ('position' in changes || 'isPlaying' in changes) positionAt = performance.now();
+  }
+
+  // Position is reported twice a second; advance it in between while playing
+  function getPosition() {
+    const elapsed = track.isPlaying ? (performance.now() - positionAt) / 1000 : 0;
+    const position = (track.position || 0) + elapsed;
+    return track.duration > 0 ? Math.min(position, track.duration) : position;
+  }
+
+  function sendCommand(command, value) {
+    window.ytMusicApp?.send?.('media-control', { command, value });
+  }
+
+  // ============================================
+  // DOM CREATION
+  // ============================================
+
+  function injectStyles() {
+    if (document.getElementById('yt-stage-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'yt-stage-styles';
+    style.textContent = `
+      #yt-lyrics-stage {
+        position: fixed;
+        inset: 0;
+        z-index: 10001;
+        display: none;
+        overflow: hidden;
+        background: #000;
+        color: #ffffff;
+        font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', system-ui, sans-serif;
+        -webkit-app-region: no-drag;
+      }
+
+      #yt-lyrics-stage.active {
+        display: block;
+      }
+
+      /* Living Background draws behind us while the stage is open */
+      #yt-lyrics-stage.over-visuals {
+        background: rgba(0, 0, 0, 0.35);
+      }
+
+      #yt-lyrics-stage.idle {
+        cursor: none;
+      }
+
+      .yt-stage-backdrop {
+        position: absolute;
+        inset: -40px;
+        background-size: cover;
+        background-position: center;
+        filter: blur(60px) saturate(1.4);
+        opacity: 0.35;
+        transition: background-image 0.6s ease;
+      }
+
+      #yt-lyrics-stage.over-visuals .yt-stage-backdrop {
+        opacity: 0.12;
+      }
+
+      /* Lyrics column, scrolled so the active line sits in the middle */
+      .yt-stage-lyrics {
+        position: absolute;
+        inset: 0 8vw;
+        overflow: hidden;
+        -webkit-mask-image: linear-gradient(180deg, transparent 0, #000 25%, #000 75%, transparent 100%);
+      }
+
+      .yt-stage-column {
+        position: absolute;
+        left: 0;
+        right: 0;
+        top: 50%;
+        text-align: center;
+        transition: transform 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+      }
+
+      .yt-stage-line {
+        padding: 1.2vh 0;
+        font-size: clamp(24px, 4.2vw, 64px);
+        font-weight: 700;
+        line-height: 1.2;
+        color: rgba(255, 255, 255, 0.28);
+        transform: scale(0.92);
+        transition: color 0.4s ease, transform 0.4s ease, opacity 0.4s ease;
+      }
+
+      .yt-stage-line.active {
+        color: #ffffff;
+        transform: scale(1);
+        text-shadow: 0 0 40px rgba(255, 255, 255, 0.45);
+      }
+
+      .yt-stage-line.past {
+        opacity: 0.6;
+      }
+
+      .yt-stage-translit {
+        display: block;
+        font-size: 0.45em;
+        font-weight: 500;
+        opacity: 0.75;
+      }
+
+      .yt-stage-message {
+        position: absolute;
+        top: 50%;
+        left: 0;
+        right: 0;
+        transform: translateY(-50%);
+        text-align: center;
+        font-size: 22px;
+        color: rgba(255, 255, 255, 0.5);
+      }
+
+      /* Chrome: track info, progress and controls */
+      .yt-stage-chrome {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        display: flex;
+        align-items: center;
+        gap: 20px;
+        padding: 24px 40px 32px;
+        background: linear-gradient(0deg, rgba(0, 0, 0, 0.6), transparent);
+        transition: opacity 0.6s ease;
+      }
+
+      .yt-stage-close {
+        position: absolute;
+        top: 24px;
+        right: 32px;
+        transition: opacity 0.6s ease;
+      }
+
+      #yt-lyrics-stage.idle .yt-stage-chrome,
+      #yt-lyrics-stage.idle .yt-stage-close {
+        opacity: 0;
+        pointer-events: none;
+      }
+
+      .yt-stage-art {
+        width: 72px;
+        height: 72px;
+        border-radius: 10px;
+        object-fit: cover;
+        background: rgba(255, 255, 255, 0.1);
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.5);
+      }
+
+      .yt-stage-info {
+        min-width: 0;
+        width: 260px;
+      }
+
+      .yt-stage-title {
+        font-size: 18px;
+        font-weight: 600;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .yt-stage-artist {
+        font-size: 14px;
+        color: rgba(255, 255, 255, 0.6);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .yt-stage-progress {
+        flex: 1;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        font-size: 12px;
+        font-variant-numeric: tabular-nums;
+        color: rgba(255, 255, 255, 0.6);
+      }
+
+      .yt-stage-bar {
+        flex: 1;
+        height: 4px;
+        border-radius: 2px;
+        background: rgba(255, 255, 255, 0.2);
+        cursor: pointer;
+      }
+
+      .yt-stage-fill {
+        height: 100%;
+        width: 0%;
+        border-radius: 2px;
+        background: #ffffff;
+      }
+
+      .yt-stage-controls {
+        display: flex;
+        gap: 8px;
+      }
+
+      .yt-stage-btn {
+        width: 44px;
+        height: 44px;
+        border: none;
+        border-radius: 50%;
+        background: rgba(255, 255, 255, 0.1);
+        color: #ffffff;
+        font-size: 18px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+      }
+
+      .yt-stage-btn:hover {
+        background: rgba(255, 255, 255, 0.25);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function createStage() {
+    if (document.getElementById('yt-lyrics-stage')) {
+      stage = document.getElementById('yt-lyrics-stage');
+      return;
+    }
+
+    stage = document.createElement('div');
+    stage.id = 'yt-lyrics-stage';
+
+    const make = (tag, className) => {
+      const el = document.createElement(tag);
+      if (className) el.className = className;
+      return el;
+    };
+
+    const backdrop = make('div', 'yt-stage-backdrop');
+    const lyrics = make('div', 'yt-stage-lyrics');
+    lyrics.appendChild(make('div', 'yt-stage-column'));
+
+    const close = make('button', 'yt-stage-btn yt-stage-close');
+    close.textContent = '✕';
+    close.title = 'Exit (Esc)';
+    close.addEventListener('click', () => requestStage(false));
+
+    const chrome = make('div', 'yt-stage-chrome');
+    const art = make('img', 'yt-stage-art');
+    art.alt = '';
+    const info = make('div', 'yt-stage-info');
+    info.appendChild(make('div', 'yt-stage-title'));
+    info.appendChild(make('div', 'yt-stage-artist'));
+
+    const progress = make('div', 'yt-stage-progress');
+    const current = make('span', 'yt-stage-current');
+    const bar = make('div', 'yt-stage-bar');
+    bar.appendChild(make('div', 'yt-stage-fill'));
+    bar.addEventListener('click', (e) => {
+      const rect = bar.getBoundingClientRect();
+      sendCommand('seek-percent', Math.max(0, Math.min(100, ((e.clientX - rect.left) / rect.width) * 100)));
+    });
+    const total = make('span', 'yt-stage-total');
+    progress.appendChild(current);
+    progress.appendChild(bar);
+    progress.appendChild(total);
+
+    const controls = make('div', 'yt-stage-controls');
+    [['⏮', 'previous', 'Previous'], ['⏯', 'play-pause', 'Play/Pause'], ['⏭', 'next', 'Next']]
+      .forEach(([text, command, title]) => {
+        const button = make('button', 'yt-stage-btn');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', () => sendCommand(command));
+        controls.appendChild(button);
+      });
+
+    chrome.appendChild(art);
+    chrome.appendChild(info);
+    chrome.appendChild(progress);
+    chrome.appendChild(controls);
+
+    stage.appendChild(backdrop);
+    stage.appendChild(lyrics);
+    stage.appendChild(chrome);
+    stage.appendChild(close);
+    stage.addEventListener('mousemove', wake);
+    document.body.appendChild(stage);
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  function renderLines(lines, transliterations, synced) {
+    const column = stage.querySelector('.yt-stage-column');
+    column.replaceChildren();
+    stage.querySelector('.yt-stage-message')?.remove();
+
+    if (lines.length === 0) {
+      const message = document.createElement('div');
+      message.className = 'yt-stage-message';
+      message.textContent = 'No lyrics for this track';
+      stage.querySelector('.yt-stage-lyrics').appendChild(message);
+    }
+
+    lines.forEach((line, i) => {
+      const el = document.createElement('div');
+      el.className = 'yt-stage-line' + (synced ? '' : ' active');
+      el.textContent = line.text;
+
+      const translit = transliterations[i];
+      if (translit) {
+        const sub = document.createElement('span');
+        sub.className = 'yt-stage-translit';
+        sub.textContent = translit.text;
+        el.appendChild(sub);
+      }
+      column.appendChild(el);
+    });
+
+    renderedLines = lines;
+    renderedTransliterations = transliterations;
+    activeIndex = -2;
+  }
+
+  function findActiveIndex(lines, time) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].time !== null && time >= lines[i].time - LINE_LEAD) return i;
+    }
+    return -1;
+  }
+
+  // Move the column so the given line (or the given fraction of the column) is centered
+  function centerColumn(column, index, fraction) {
+    const lineEls = column.children;
+    let offset = 0;
+    if (index >= 0 && lineEls[index]) {
+      const el = lineEls[index];
+      offset = el.offsetTop + el.offsetHeight / 2;
+    } else if (fraction !== undefined) {
+      offset = column.scrollHeight * fraction;
+    }
+    column.style.transform = `translateY(${-offset}px)`;
+  }
+
+  function renderTrack() {
+    // Player bar thumbnails are small; ask for a large one
+    const thumbnail = (track.thumbnail || '').replace(/=w\d+-h\d+/, '=w1200-h1200');
+
+    stage.querySelector('.yt-stage-title').textContent = track.title || '';
+    stage.querySelector('.yt-stage-artist').textContent = track.artist || '';
+    if (thumbnail && thumbnail !== lastThumbnail) {
+      lastThumbnail = thumbnail;
+      stage.querySelector('.yt-stage-art').src = thumbnail;
+      stage.querySelector('.yt-stage-backdrop').style.backgroundImage = `url("${thumbnail}")`;
+    }
+
+    const position = getPosition();
+    const duration = track.duration || 0;
+    const formatTime = window.__ytLyrics?.formatTime || (() => '');
+    stage.querySelector('.yt-stage-current').textContent = formatTime(position);
+    stage.querySelector('.yt-stage-total').textContent = formatTime(duration);
+    stage.querySelector('.yt-stage-fill').style.width = duration > 0 ? `${(position / duration) * 100}%` : '0%';
+    return { position, duration };
+  }
+
+  function render() {
+    if (!isActive) {
+      animationId = null;
+      return;
+    }
+    animationId = requestAnimationFrame(render);
+
+    const lyrics = getLyrics();
+    if (lyrics.lines !== renderedLines || lyrics.transliterations !== renderedTransliterations) {
+      renderLines(lyrics.lines, lyrics.transliterations, lyrics.synced);
+    }
+
+    const { position, duration } = renderTrack();
+    const column = stage.querySelector('.yt-stage-column');
+
+    if (!lyrics.synced) {
+      // Plain lyrics scroll along with the song
+      if (duration > 0) centerColumn(column, -1, position / duration);
+      return;
+    }
+
+    const index = findActiveIndex(lyrics.lines, lyrics.time);
+    if (index === activeIndex) return;
+    activeIndex = index;
+
+    Array.from(column.children).forEach((el, i) => {
+      el.classList.toggle('active', i === index);
+      el.classList.toggle('past', i < index);
+    });
+    centerColumn(column, Math.max(0, index));
+  }
+
+  // ============================================
+  // ENABLE/DISABLE
+  // ============================================
+
+  function wake() {
+    if (!stage) return;
+    stage.classList.remove('idle');
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => stage.classList.add('idle'), IDLE_TIMEOUT);
+  }
+
+  function setActive(active) {
+    if (active === isActive) return;
+    isActive = active;
+    console.log(`[YT Stage] ${active ? 'Opening' : 'Closing'} lyrics stage`);
+
+    // Living Background raises its canvas under the stage while it is open
+    window.dispatchEvent(new CustomEvent('yt-lyrics-stage', { detail: { active } }));
+
+    stage.classList.toggle('active', active);
+    stage.classList.toggle('over-visuals', active && !!window.__livingBgProInitialized);
+
+    if (active) {
+      renderedLines = null;
+      wake();
+      if (!animationId) animationId = requestAnimationFrame(render);
+    } else {
+      clearTimeout(idleTimer);
+      if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+      }
+    }
+  }
+
+  // The main process owns fullscreen, so open/close requests go through it
+  function requestStage(active) {
+    if (window.ytMusicApp?.send) {
+      window.ytMusicApp.send('lyrics-stage-set', active);
+    } else {
+      setActive(active);
+    }
+  }
+
+  function handleKeys(e) {
+    if (!isActive) return;
+    if (e.code === 'Escape') {
+      requestStage(false);
+    } else if (e.code === 'Space') {
+      sendCommand('play-pause');
+    } else if (e.code === 'ArrowRight' && e.altKey) {
+      sendCommand('next');
+    } else if (e.code === 'ArrowLeft' && e.altKey) {
+      sendCommand('previous');
+    } else {
+      wake();
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  function init() {
+    injectStyles();
+    createStage();
+
+    window.ytMusicApp?.receive?.('lyrics-stage', (active) => setActive(!!active));
+    window.ytMusicApp?.receive?.('player-state', updateTrack);
+    window.ytMusicApp?.invoke?.('player-state-get')
+      .then((state) => updateTrack({ ...state, ...track }))
+      .catch(() => {});
+    document.addEventListener('keydown', handleKeys, true);
+
+    console.log('[YT Stage] Ready! Toggle with Cmd/Ctrl+Shift+L.');
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    setTimeout(init, 1000);
+  }
+})();
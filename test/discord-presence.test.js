@@ -0,0 +1,125 @@
+// Discord Rich Presence against a fake discord-ipc socket
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createDiscordPresence, encodeFrame } = require('../lib/discord-presence');
+
+const CLIENT_ID = '123456789012345678';
+
+const playing = {
+  title: 'Song',
+  artist: 'Artist',
+  album: 'Album',
+  thumbnail: 'https://example.com/cover.jpg',
+  duration: 200,
+  position: 20,
+  isPlaying: true
+};
+
+// Fake Discord client: answers the handshake with READY and collects frames
+function startFakeDiscord(socketPath) {
+  const frames = [];
+  const waiters = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 8 && buffer.length >= 8 + buffer.readInt32LE(4)) {
+        const length = buffer.readInt32LE(4);
+        const frame = { op: buffer.readInt32LE(0), payload: JSON.parse(buffer.slice(8, 8 + length).toString('utf8')) };
+        buffer = buffer.slice(8 + length);
+        if (frame.op === 0) socket.write(encodeFrame(1, { cmd: 'DISPATCH', evt: 'READY', data: {} }));
+        frames.push(frame);
+        waiters.splice(0).forEach((wake) => wake());
+      }
+    });
+  });
+
+  // Resolves with the frame at index, waiting for it if needed
+  function frameAt(index) {
+    if (frames.length > index) return Promise.resolve(frames[index]);
+    return new Promise((resolve) => waiters.push(resolve)).then(() => frameAt(index));
+  }
+
+  function close() {
+    sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return new Promise((resolve) => server.listen(socketPath, () => resolve({ frames, frameAt, close })));
+}
+
+function tempSocketPath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-ipc-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'discord-ipc-0');
+}
+
+function createPresence(socketPath) {
+  return createDiscordPresence({
+    getSettings: () => ({ enabled: true, clientId: CLIENT_ID }),
+    ipcPaths: [socketPath],
+    reconnectDelay: 50,
+    updateInterval: 0
+  });
+}
+
+test('handshakes, sets the activity and clears it on pause', { skip: process.platform === 'win32' }, async (t) => {
+  const socketPath = tempSocketPath(t);
+  const discord = await startFakeDiscord(socketPath);
+  const presence = createPresence(socketPath);
+  t.after(() => {
+    presence.stop();
+    return discord.close();
+  });
+
+  presence.start();
+  assert.deepStrictEqual(await discord.frameAt(0), { op: 0, payload: { v: 1, client_id: CLIENT_ID } });
+
+  presence.update(playing);
+  const set = await discord.frameAt(1);
+  assert.strictEqual(set.op, 1);
+  assert.strictEqual(set.payload.cmd, 'SET_ACTIVITY');
+  assert.strictEqual(set.payload.args.pid, process.pid);
+
+  const { activity } = set.payload.args;
+  assert.strictEqual(activity.type, 2);
+  assert.strictEqual(activity.details, 'Song');
+  assert.strictEqual(activity.state, 'by Artist');
+  assert.strictEqual(activity.assets.large_image, playing.thumbnail);
+  assert.strictEqual(activity.assets.large_text, 'Album');
+  assert.strictEqual(activity.timestamps.end - activity.timestamps.start, 200000);
+
+  presence.update({ ...playing, isPlaying: false });
+  const cleared = await discord.frameAt(2);
+  assert.strictEqual(cleared.payload.cmd, 'SET_ACTIVITY');
+  assert.strictEqual(cleared.payload.args.activity, undefined);
+});
+
+test('connects once Discord starts later', { skip: process.platform === 'win32' }, async (t) => {
+  const socketPath = tempSocketPath(t);
+  const presence = createPresence(socketPath);
+  presence.start();
+  presence.update(playing);
+
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  assert.strictEqual(presence.isConnected(), false);
+
+  const discord = await startFakeDiscord(socketPath);
+  t.after(() => {
+    presence.stop();
+    return discord.close();
+  });
+
+  assert.strictEqual((await discord.frameAt(0)).op, 0);
+  const set = await discord.frameAt(1);
+  assert.strictEqual(set.payload.args.activity.details, 'Song');
+  assert.strictEqual(presence.isConnected(), true);
+});
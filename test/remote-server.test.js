@@ -0,0 +1,134 @@
+// Remote control API, exercised over HTTP and WebSocket with a local client
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { createRemoteServer } = require('../lib/remote-server');
+
+const TOKEN = 'test-token';
+
+async function startServer(overrides = {}) {
+  const commands = [];
+  const server = createRemoteServer({
+    port: 0,
+    token: TOKEN,
+    getState: () => ({ title: 'Song', isPlaying: false }),
+    runCommand: async (command, value) => {
+      commands.push({ command, value });
+      return { ok: true };
+    },
+    ...overrides
+  });
+  const { port } = await server.start();
+  return { server, commands, base: `http://127.0.0.1:${port}/api/v1`, ws: `ws://127.0.0.1:${port}/api/v1/ws` };
+}
+
+// Resolves with the next message from the socket, parsed
+function nextMessage(ws) {
+  return new Promise((resolve, reject) => {
+    ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+    ws.once('error', reject);
+  });
+}
+
+async function connect(url) {
+  const ws = new WebSocket(url);
+  const first = nextMessage(ws);
+  first.catch(() => {}); // a refused upgrade is reported by the open below
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return { ws, first: await first };
+}
+
+test('rejects requests without the pairing token', async (t) => {
+  const { server, base, ws } = await startServer();
+  t.after(() => server.stop());
+
+  assert.strictEqual((await fetch(`${base}/state`)).status, 401);
+  assert.strictEqual((await fetch(`${base}/state`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+  await assert.rejects(connect(ws), /401/);
+});
+
+test('serves state and runs commands over HTTP', async (t) => {
+  const { server, base, commands } = await startServer();
+  t.after(() => server.stop());
+  const headers = { Authorization: `Bearer ${TOKEN}` };
+
+  const state = await fetch(`${base}/state`, { headers });
+  assert.strictEqual(state.status, 200);
+  assert.deepStrictEqual(await state.json(), { title: 'Song', isPlaying: false });
+
+  const ok = await fetch(`${base}/command?token=${TOKEN}`, {
+    method: 'POST',
+    body: JSON.stringify({ command: 'seek', value: 42 })
+  });
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(commands, [{ command: 'seek', value: 42 }]);
+
+  const unsupported = await fetch(`${base}/command`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ command: 'quit' })
+  });
+  assert.strictEqual(unsupported.status, 400);
+
+  const invalid = await fetch(`${base}/command`, { method: 'POST', headers, body: 'not json' });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('WebSocket clients get state, results and pushed changes', async (t) => {
+  const { server, ws: url, commands } = await startServer();
+  const { ws, first } = await connect(`${url}?token=${TOKEN}`);
+  t.after(() => {
+    ws.close();
+    return server.stop();
+  });
+
+  assert.deepStrictEqual(first, { type: 'state', state: { title: 'Song', isPlaying: false } });
+
+  ws.send(JSON.stringify({ id: 7, command: 'volume', value: 30 }));
+  assert.deepStrictEqual(await nextMessage(ws), { type: 'result', id: 7, ok: true });
+  assert.deepStrictEqual(commands, [{ command: 'volume', value: 30 }]);
+
+  server.broadcastChanges({ isPlaying: true });
+  assert.deepStrictEqual(await nextMessage(ws), { type: 'state-changed', changes: { isPlaying: true } });
+});
+
+test('WebSocket messages that are not command objects get an error result', async (t) => {
+  const { server, ws: url, commands } = await startServer();
+  const { ws } = await connect(`${url}?token=${TOKEN}`);
+  t.after(() => {
+    ws.close();
+    return server.stop();
+  });
+
+  for (const message of ['null', '[]', '42', 'not json']) {
+    ws.send(message);
+    const result = await nextMessage(ws);
+    assert.strictEqual(result.type, 'result');
+    assert.strictEqual(result.ok, false);
+  }
+
+  ws.send(JSON.stringify({ id: 1, command: 'shutdown' }));
+  assert.deepStrictEqual(await nextMessage(ws), { type: 'result', id: 1, ok: false, error: 'Unsupported command: shutdown' });
+  assert.deepStrictEqual(commands, []);
+});
+
+test('a failing command is reported instead of crashing', async (t) => {
+  const { server, ws: url } = await startServer({
+    runCommand: async () => {
+      throw new Error('player went away');
+    }
+  });
+  const { ws } = await connect(`${url}?token=${TOKEN}`);
+  t.after(() => {
+    ws.close();
+    return server.stop();
+  });
+
+  ws.send(JSON.stringify({ id: 2, command: 'next' }));
+  assert.deepStrictEqual(await nextMessage(ws), { type: 'result', id: 2, ok: false, error: 'player went away' });
+});
@@ -0,0 +1,91 @@
+// Scrobble queue flushing against a custom target served locally
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createScrobbler } = require('../lib/scrobbler');
+
+const track = (title) => ({ artist: 'Artist', title, album: '', duration: 200, timestamp: 1700000000 });
+
+function createMemoryStore(data) {
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = value;
+    },
+    flush: () => {}
+  };
+}
+
+// respond(tracks) returns the HTTP status for a submitted batch
+async function startTarget(respond) {
+  const batches = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { tracks } = JSON.parse(body);
+      batches.push(tracks.map((t) => t.title));
+      res.writeHead(respond(tracks), { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, batches, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+function createTestScrobbler(url, queue) {
+  const data = { queue };
+  const scrobbler = createScrobbler({
+    store: createMemoryStore(data),
+    getSettings: () => ({ enabled: true, target: 'custom', custom: { url } })
+  });
+  return { scrobbler, data };
+}
+
+test('a rejected track is parked and the rest of the queue goes through', async (t) => {
+  const { server, batches, url } = await startTarget((tracks) =>
+    tracks.some((t) => t.title === 'Bad') ? 400 : 200);
+  t.after(() => server.close());
+
+  const { scrobbler, data } = createTestScrobbler(url, [track('One'), track('Bad'), track('Two')]);
+  await scrobbler.flush();
+  scrobbler.stop();
+
+  assert.deepStrictEqual(batches, [['One', 'Bad', 'Two'], ['One'], ['Bad'], ['Two']]);
+  assert.strictEqual(scrobbler.pendingCount(), 0);
+  assert.deepStrictEqual(data.rejected.map((t) => t.title), ['Bad']);
+  assert.match(data.rejected[0].reason, /HTTP 400/);
+});
+
+test('refused credentials keep the queue without dropping anything', async (t) => {
+  const { server, batches, url } = await startTarget(() => 401);
+  t.after(() => server.close());
+
+  const { scrobbler, data } = createTestScrobbler(url, [track('One'), track('Two')]);
+  await scrobbler.flush();
+  scrobbler.stop();
+
+  assert.strictEqual(batches.length, 1);
+  assert.strictEqual(scrobbler.pendingCount(), 2);
+  assert.strictEqual(data.rejected, undefined);
+});
+
+test('server errors keep the queue for a later retry', async (t) => {
+  let status = 503;
+  const { server, batches, url } = await startTarget(() => status);
+  t.after(() => server.close());
+
+  const { scrobbler } = createTestScrobbler(url, [track('One')]);
+  await scrobbler.flush();
+  assert.strictEqual(scrobbler.pendingCount(), 1);
+
+  status = 200;
+  await scrobbler.retryNow();
+  scrobbler.stop();
+
+  assert.strictEqual(batches.length, 2);
+  assert.strictEqual(scrobbler.pendingCount(), 0);
+});